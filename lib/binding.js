@@ -0,0 +1,124 @@
+'use strict';
+
+const _ = require('lodash');
+const errors = require('./errors');
+
+// {{name}} placeholders, with an optional escape strategy (e.g. {{column|identifier}}), and :name placeholders, which
+// may not follow a word character or another colon (e.g. a ::cast)
+const PLACEHOLDERS = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}|(^|[^:\w]):([A-Za-z_]\w*)/g;
+
+// a string that is a single placeholder without an escape strategy, e.g. the leaf of an object payload
+const PLACEHOLDER = /^(?:\{\{\s*([\w.]+)\s*\}\}|:([A-Za-z_]\w*))$/;
+
+/**
+ * Escapes a value as an SQL literal. Arrays are escaped as a list, e.g. for an IN clause
+ * @param {*} value
+ * @return {string}
+ */
+function literal (value) {
+    if (_.isArray(value)) return value.map(literal).join(', ');
+    if (value === null || value === undefined) return 'NULL';
+    if (_.isBoolean(value)) return value ? 'TRUE' : 'FALSE';
+    if (_.isNumber(value)) {
+        if (!isFinite(value)) throw new Error(`Cannot bind ${value} as an SQL literal`);
+        return String(value);
+    }
+    if (_.isDate(value)) value = value.toISOString();
+
+    return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
+
+/**
+ * Escapes a value as an SQL identifier, quoting each part of a dotted name. Arrays are escaped as a list
+ * @param {*} value
+ * @return {string}
+ */
+function identifier (value) {
+    if (_.isArray(value)) return value.map(identifier).join(', ');
+
+    return String(value).split('.').map(part => `"${part.replace(/"/g, '""')}"`).join('.');
+}
+
+// escape strategies, by name
+const ESCAPES = {
+    literal: literal,
+    identifier: identifier,
+    json: value => JSON.stringify(value),
+    raw: value => String(value)
+};
+
+// the default escape strategy of each language, which is otherwise raw
+const LANGUAGES = {
+    sql: 'literal',
+    postgres: 'literal',
+    postgresql: 'literal',
+    mysql: 'literal',
+    sqlite: 'literal',
+    mssql: 'literal',
+    oracle: 'literal',
+    json: 'json',
+    mongo: 'json',
+    mongodb: 'json',
+    elasticsearch: 'json'
+};
+
+/**
+ * The names of the escape strategies
+ * @type {string[]}
+ */
+exports.ESCAPES = _.keys(ESCAPES);
+
+/**
+ * Resolves an escape strategy
+ * @param {string|function} escape the strategy name or escape function
+ * @param {Query} query the query
+ * @return {function(*): string}
+ */
+function resolve (escape, query) {
+    if (typeof escape === 'function') return escape;
+    if (!ESCAPES[escape]) throw new errors.QueryValidationError(`Unknown escape strategy ${escape}`, { query: query });
+    return ESCAPES[escape];
+}
+
+/**
+ * Binds params into a string, leaving placeholders without a param in place
+ * @param {string} template the string
+ * @param {{}} params the params
+ * @param {function(*): string} escape the default escape function
+ * @param {Query} query the query
+ * @return {string}
+ */
+function bindString (template, params, escape, query) {
+    return template.replace(PLACEHOLDERS, (match, name, strategy, prefix, colonName) => {
+        if (colonName) return _.has(params, colonName) ? prefix + escape(params[colonName]) : match;
+        if (!_.has(params, name)) return match;
+
+        return (strategy ? resolve(strategy, query) : escape)(_.get(params, name));
+    });
+}
+
+/**
+ * Binds a query's params into its payload, substituting :name and {{name}} placeholders in a string payload or in the
+ * string leaves of a plain object or array payload. Values are escaped by the query's escape strategy, which defaults
+ * to that of its language, or by the strategy named by a placeholder, e.g. {{column|identifier}}. A leaf of an object
+ * or array payload that is a single placeholder without a strategy is replaced by the param value itself, unescaped
+ * @param {Query} query the query
+ * @return {*} the bound payload
+ */
+exports.bind = function (query) {
+    const escape = resolve(query.escape || LANGUAGES[query.language] || 'raw', query);
+    const params = query.params || {};
+
+    const bindValue = (value, leaf) => {
+        const match = leaf && _.isString(value) && value.match(PLACEHOLDER);
+        const name = match && (match[1] || match[2]);
+        if (name && _.has(params, name)) return _.get(params, name);
+
+        if (_.isString(value)) return bindString(value, params, escape, query);
+        if (_.isArray(value)) return value.map(v => bindValue(v, true));
+        if (_.isPlainObject(value)) return _.mapValues(value, v => bindValue(v, true));
+        return value;
+    };
+
+    return bindValue(query.payload);
+};
\ No newline at end of file
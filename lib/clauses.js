@@ -0,0 +1,95 @@
+'use strict';
+
+const _ = require('lodash');
+const joi = require('joi');
+const $ = require('highland');
+
+// where operators, by name
+const OPERATORS = {
+    eq: (v, value) => _.isEqual(v, value),
+    ne: (v, value) => !_.isEqual(v, value),
+    gt: (v, value) => v > value,
+    gte: (v, value) => v >= value,
+    lt: (v, value) => v < value,
+    lte: (v, value) => v <= value,
+    in: (v, value) => _.some(value, x => _.isEqual(v, x)),
+    nin: (v, value) => !_.some(value, x => _.isEqual(v, x))
+};
+
+/**
+ * The names of the clauses, which handlers may push down to the data source
+ * @type {string[]}
+ */
+exports.CLAUSES = ['where', 'orderBy', 'select'];
+
+/**
+ * The query schema of each clause
+ * @type {{}}
+ */
+exports.SCHEMA = {
+    where: joi.array().items(joi.object({
+        field: joi.string().required(),
+        op: joi.string().valid(_.keys(OPERATORS)).default('eq'),
+        value: joi.any()
+    })),
+    orderBy: joi.array().items(joi.object({
+        field: joi.string().required(),
+        direction: joi.string().valid('asc', 'desc').default('asc')
+    })),
+    select: joi.array().items(joi.string())
+};
+
+/**
+ * Converts a where predicate into conditions. The predicate maps each field to the value it must equal or to its
+ * conditions by operator, e.g. { last: 'Leupen', age: { gte: 18, lt: 65 } }
+ * @param {{}} predicate the predicate
+ * @return {{field: string, op: string, value: *}[]}
+ */
+exports.conditions = function (predicate) {
+    return _.flatten(_.map(predicate, (condition, field) => {
+        if (!_.isPlainObject(condition)) return [{ field: field, op: 'eq', value: condition }];
+
+        return _.map(condition, (value, op) => {
+            if (!OPERATORS[op]) throw new Error(`Unknown operator ${op}`);
+            return { field: field, op: op, value: value };
+        });
+    }));
+};
+
+/**
+ * Applies the clauses of a query that its handler didn't handle to a data stream. Rows are filtered by the where
+ * conditions, sorted by the orderBy fields, which reads the whole stream, and projected to the selected fields
+ * @param {Stream} $data the data stream
+ * @param {Query} query the query
+ * @param {function(): string[]} handled the clauses handled by the handler, which are only known once the stream is
+ * read
+ * @return {Stream}
+ */
+exports.apply = function ($data, query, handled) {
+    if (!query.where && !query.orderBy && !query.select) return $data;
+
+    const pending = clause => !!query[clause] && !_.includes(handled(), clause);
+    const matches = row => _.every(query.where, c => OPERATORS[c.op](_.get(row, c.field), c.value));
+    const project = row => pending('select') && _.isObject(row) ? _.pick(row, query.select) : row;
+    const rows = [];
+
+    return $data.consume((err, x, push, next) => {
+        if (err) {
+            push(err);
+            return next();
+        }
+
+        if ($.isNil(x)) {
+            const sorted = _.sortByOrder(rows, _.pluck(query.orderBy, 'field'), _.pluck(query.orderBy, 'direction'));
+            sorted.forEach(row => push(null, project(row)));
+            return push(null, x);
+        }
+
+        if (pending('where') && !matches(x)) return next();
+
+        if (pending('orderBy')) rows.push(x);
+        else push(null, project(x));
+
+        next();
+    });
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+'use strict';
+
+const _ = require('lodash');
+const hash = require('object-hash');
+const QueryResult = require('./query-result').QueryResult;
+const clauses = require('./clauses');
+
+// in-flight invocations keyed by handler, then by query fingerprint
+const inflight = new WeakMap();
+
+/**
+ * Computes the fingerprint identifying identical queries
+ * @param {Query} query
+ * @return {string}
+ */
+function fingerprint (query) {
+    return hash(_.pick(query, 'mode', 'payload', 'language', 'escape', 'user', 'limit', 'page', 'params', 'where',
+        'orderBy', 'select', 'options', 'dataTypes'));
+}
+
+/**
+ * A query result streaming a subscriber's copy of a shared invocation's result stream. Cancelling the result releases
+ * the copy, and the shared invocation once every subscriber has been released.
+ */
+class SharedResult extends QueryResult {
+    /**
+     * @param {Query} query the subscribing query
+     * @param {Stream} copy the subscriber's copy of the shared result stream
+     * @param {QueryResult} source the shared result
+     * @param {function} release releases the subscriber from the shared invocation
+     */
+    constructor (query, copy, source, release) {
+        super(query, copy);
+        this._copy = copy;
+        this._sharedSource = source;
+        this._release = release;
+
+        // the subscriber was cancelled before the shared handler replied
+        if (this.cancelled) this.cancel();
+    }
+
+    // the shared result has already taken the page
+    get paged () {
+        return true;
+    }
+
+    // the shared result has already applied the clauses
+    get handled () {
+        return clauses.CLAUSES;
+    }
+
+    get hasMore () {
+        return this._sharedSource.hasMore;
+    }
+
+    get nextCursor () {
+        return this._sharedSource.nextCursor;
+    }
+
+    // a count replied to the shared invocation is paged and limited as the shared result
+    _countSelected () {
+        return this._sharedSource._countSelected();
+    }
+
+    cancel () {
+        if (this._copy) {
+            this._copy.destroy();
+            this._release();
+        }
+
+        return super.cancel();
+    }
+}
+
+/**
+ * A single handler invocation shared by identical queries. Subscribers may join until the handler replies, at which
+ * point the result stream is read into a buffered copy for each subscriber, so that a subscriber that stops consuming
+ * its result doesn't hold back the others. Rows a subscriber hasn't read are buffered until it reads or cancels.
+ */
+class SharedInvocation {
+    /**
+     * @param {Query} query the first subscriber, whose configuration is used to invoke the handler
+     * @param {function} settled called once subscribers may no longer join
+     */
+    constructor (query, settled) {
+        this.subscribers = [];
+        this.released = new Set();
+        this.settled = settled;
+
+        this.source = new query.constructor().configure(_.pick(query, 'id', 'handler', 'payload', 'language', 'escape',
+            'user', 'limit', 'page', 'params', 'where', 'orderBy', 'select', 'options', 'dataTypes', 'retry',
+            'scheduler', 'priority', 'tracer'));
+        this.source.mode = query.mode;
+
+        this.promise = this.source.execute()
+            .then(result => {
+                this.settled();
+                const $stream = result.stream();
+                this.copies = this.subscribers.map(() => $stream.observe());
+
+                // errors reach each copy, so reading the shared stream only needs to drain it
+                $stream.errors(_.noop).resume();
+                return result;
+            })
+            .catch(err => {
+                this.settled();
+                throw err;
+            });
+    }
+
+    /**
+     * Subscribes a query to the shared invocation
+     * @param {Query} query the subscribing query
+     * @return {Promise.<QueryResult>}
+     */
+    subscribe (query) {
+        const index = this.subscribers.push(query) - 1;
+        const release = () => this._release(query);
+
+        query.once('cancel', release);
+        query.handlerInvokedAt = new Date();
+
+        return this.promise.then(source => {
+            const result = new SharedResult(query, this.copies[index], source, release);
+
+            // field configuration applied by the handler, deferring to the subscriber's own configuration
+            _.forEach(source.fields, (v, k) => result.fields[k] = _.defaults({}, result.fields[k], v));
+            result.selected = source.selected;
+            result.counted = source.counted;
+
+            query.handlerCompletedAt = new Date();
+            return result;
+        });
+    }
+
+    /**
+     * Releases a subscriber, cancelling the shared invocation once every subscriber has been released
+     * @param {Query} query the subscriber
+     * @private
+     */
+    _release (query) {
+        this.released.add(query);
+        if (this.released.size < this.subscribers.length) return;
+
+        this.settled();
+        this.source.cancel();
+    }
+}
+
+/**
+ * Subscribes a query to an in-flight invocation of its handler for an identical query, starting a new shared
+ * invocation if there is none
+ * @param {Query} query the query
+ * @return {Promise.<QueryResult>}
+ */
+exports.subscribe = function (query) {
+    let invocations = inflight.get(query.handler);
+    if (!invocations) inflight.set(query.handler, invocations = new Map());
+
+    const key = fingerprint(query);
+    let invocation = invocations.get(key);
+
+    if (!invocation) {
+        invocation = new SharedInvocation(query, () => {
+            if (invocations.get(key) === invocation) invocations.delete(key);
+        });
+        invocations.set(key, invocation);
+    }
+
+    return invocation.subscribe(query);
+};
\ No newline at end of file
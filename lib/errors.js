@@ -0,0 +1,131 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * The base class of errors raised by a query. Carries the id and language of the query, and the phase of execution
+ * (pre, handler, post or stream) that failed
+ */
+class QueryError extends Error {
+    /**
+     * @param {string} message the error message
+     * @param {{query: ({id: *, language: string}|undefined), phase: (string|undefined), cause: (*|undefined)}=} options
+     * the failed query, the phase that failed and the underlying error
+     */
+    constructor (message, options) {
+        options = options || {};
+        super(message);
+        this.name = 'QueryError';
+        this.cause = options.cause;
+        this.phase = options.phase;
+        this.queryId = options.query && options.query.id;
+        this.language = options.query && options.query.language;
+    }
+}
+
+/**
+ * Raised when a query definition is invalid
+ */
+class QueryValidationError extends QueryError {
+    /**
+     * @param {string} message the error message
+     * @param {{query: {}, cause: Error}=} options the invalid query definition and the validation error, whose details
+     * are kept as the error's details
+     */
+    constructor (message, options) {
+        super(message, options);
+        this.name = 'QueryValidationError';
+        this.details = this.cause && this.cause.details;
+    }
+}
+
+/**
+ * Raised when a query is cancelled. The reason passed to cancel() is kept as the error's reason
+ */
+class QueryCancelledError extends QueryError {
+    /**
+     * @param {string} message the error message
+     * @param {{query: Query, phase: string, reason: *}=} options
+     */
+    constructor (message, options) {
+        super(message || 'Query was cancelled', options);
+        this.name = 'QueryCancelledError';
+        this.reason = options && options.reason;
+    }
+}
+
+/**
+ * Raised when a query exceeds its configured timeout, either while waiting for the handler to reply or while the
+ * result stream is being consumed
+ */
+class QueryTimeoutError extends QueryCancelledError {
+    /**
+     * @param {number} timeout the timeout, in milliseconds, that was exceeded
+     * @param {{query: Query, phase: string}=} options
+     */
+    constructor (timeout, options) {
+        super(`Query timed out after ${timeout}ms`, options);
+        this.name = 'QueryTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Wraps an error raised by a query's handler, e.g. a driver error. The message is the cause's message
+ */
+class HandlerError extends QueryError {
+    /**
+     * @param {*} cause the handler's error
+     * @param {{query: Query}=} options
+     */
+    constructor (cause, options) {
+        super(cause && cause.message || String(cause), _.assign({ phase: 'handler' }, options, { cause: cause }));
+        this.name = 'HandlerError';
+    }
+}
+
+/**
+ * Wraps an error raised while streaming a query's result, by the result data or a through handler. The message is
+ * the cause's message
+ */
+class StreamError extends QueryError {
+    /**
+     * @param {*} cause the stream's error
+     * @param {{query: Query}=} options
+     */
+    constructor (cause, options) {
+        super(cause && cause.message || String(cause), _.assign({ phase: 'stream' }, options, { cause: cause }));
+        this.name = 'StreamError';
+    }
+}
+
+/**
+ * Converts an error raised by a query into a QueryError. Query errors missing the query's context are assigned it,
+ * handler and stream errors are wrapped in a HandlerError and StreamError, and other errors (e.g. a failed pre or post
+ * interceptor) in a QueryError
+ * @param {*} err the error
+ * @param {Query} query the query
+ * @param {string} phase the phase that failed
+ * @return {QueryError}
+ */
+function wrap (err, query, phase) {
+    if (err instanceof QueryError) {
+        if (err.queryId === undefined) err.queryId = query.id;
+        if (err.language === undefined) err.language = query.language;
+        if (err.phase === undefined) err.phase = phase;
+        return err;
+    }
+
+    const options = { query: query, phase: phase };
+    if (phase === 'handler') return new HandlerError(err, options);
+    if (phase === 'stream') return new StreamError(err, options);
+    return new QueryError(err && err.message || String(err), _.assign(options, { cause: err }));
+}
+
+exports.QueryError = QueryError;
+exports.QueryValidationError = QueryValidationError;
+exports.QueryCancelledError = QueryCancelledError;
+exports.QueryTimeoutError = QueryTimeoutError;
+exports.HandlerError = HandlerError;
+exports.StreamError = StreamError;
+exports.wrap = wrap;
\ No newline at end of file
@@ -0,0 +1,70 @@
+'use strict';
+
+const _ = require('lodash');
+const errors = require('./errors');
+
+// registered handlers, by language
+const registry = new Map();
+
+/**
+ * Raises an error unless a handler is a function. Async functions are allowed, which lodash 3's isFunction rejects
+ * @param {*} handler the handler
+ */
+exports.assertHandler = function (handler) {
+    if (typeof handler !== 'function') throw new Error('handler must be a function');
+};
+
+/**
+ * Registers the handler for a query language. Builders with a language but no handler resolve the registered handler
+ * when they're built, along with its definition defaults
+ * @param {string} language the query language
+ * @param {function(Query, function)} handler the handler function
+ * @param {{}=} defaults definition defaults (options, timeout, dataTypes, etc.), which the builder's definition
+ * overrides. Interceptor chains, plugins and listeners among the defaults come before the builder's own
+ */
+exports.register = function (language, handler, defaults) {
+    if (!_.isString(language)) throw new Error('language must be a string');
+    exports.assertHandler(handler);
+    if (registry.has(language)) throw new Error(`A handler is already registered for language ${language}`);
+
+    registry.set(language, { handler: handler, defaults: defaults || {} });
+};
+
+/**
+ * Removes the handler registered for a query language
+ * @param {string} language the query language
+ */
+exports.remove = function (language) {
+    registry.delete(language);
+};
+
+/**
+ * Resolves the handler registered for a query definition's language, raising a QueryValidationError if there is none
+ * @param {{}} defn the query definition
+ * @return {{handler: function, defaults: {}}}
+ */
+exports.resolve = function (defn) {
+    if (!registry.has(defn.language)) {
+        const message = `No handler is registered for language ${defn.language}`;
+        throw new errors.QueryValidationError(message, { query: defn });
+    }
+
+    return registry.get(defn.language);
+};
+
+/**
+ * Finds the language a handler is registered for
+ * @param {function} handler the handler
+ * @return {string|undefined}
+ */
+exports.languageOf = function (handler) {
+    return _.find(exports.languages(), language => registry.get(language).handler === handler);
+};
+
+/**
+ * The languages with a registered handler
+ * @return {string[]}
+ */
+exports.languages = function () {
+    return Array.from(registry.keys()).sort();
+};
\ No newline at end of file
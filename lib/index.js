@@ -4,6 +4,11 @@ const _ = require('lodash');
 const QueryBuilder = require('./query-builder').QueryBuilder;
 const cachedHandler = require('./redis-cache-handler');
 const multiHandler = require('./multi-query-handler');
+const errors = require('./errors');
+const tracing = require('./tracing');
+const scheduling = require('./scheduler');
+const plugins = require('./plugins');
+const handlers = require('./handlers');
 
 let CACHE_DEFAULTS = {};
 
@@ -25,4 +30,85 @@ module.exports.multiHandler = function(handler, opts) {
     return multiHandler(handler, opts);
 };
 
-module.exports.CACHE_DEFAULTS = CACHE_DEFAULTS;
\ No newline at end of file
+/**
+ * Sets the tracer used by all queries that don't configure their own
+ * @param {Tracer} tracer the tracer
+ */
+module.exports.tracer = function (tracer) {
+    tracing.setTracer(tracer);
+};
+
+/**
+ * Sets the scheduler used by all queries that don't configure their own
+ * @param {Scheduler|{concurrency: number, perUser: number}} scheduler the scheduler or scheduler options
+ */
+module.exports.scheduler = function (scheduler) {
+    scheduling.setScheduler(scheduler);
+};
+
+/**
+ * Registers a plugin with all queries built from now on
+ * @param {Plugin|function} plugin the plugin or plugin registration function
+ * @param {{}=} options the plugin options, validated against the plugin's schema
+ */
+module.exports.use = function (plugin, options) {
+    plugins.use(plugin, options);
+};
+
+/**
+ * Removes a plugin registered with newQuery.use()
+ * @param {string} name the plugin name
+ */
+module.exports.removePlugin = function (name) {
+    plugins.remove(name);
+};
+
+/**
+ * Registers the handler for a query language, used by builders with that language but no handler of their own
+ * @param {string} language the query language
+ * @param {function(Query, function)} handler the handler function
+ * @param {{}=} defaults definition defaults, such as options or timeout, which builders may override
+ */
+module.exports.registerHandler = function (language, handler, defaults) {
+    handlers.register(language, handler, defaults);
+};
+
+/**
+ * Removes the handler registered for a query language
+ * @param {string} language the query language
+ */
+module.exports.removeHandler = function (language) {
+    handlers.remove(language);
+};
+
+/**
+ * Lists the languages with a registered handler
+ * @return {string[]}
+ */
+module.exports.languages = function () {
+    return handlers.languages();
+};
+
+/**
+ * Rebuilds a query builder from a definition serialized by QueryBuilder.toJSON()
+ * @param {{}} json the serialized definition
+ * @param {{handlers: {}, plugins: {}, interceptors: {}}=} registry the handlers, plugins and interceptors referenced
+ * by the definition, by name
+ * @return {QueryBuilder}
+ */
+module.exports.fromJSON = function (json, registry) {
+    return QueryBuilder.fromJSON(json, registry);
+};
+
+module.exports.CACHE_DEFAULTS = CACHE_DEFAULTS;
+
+module.exports.QueryError = errors.QueryError;
+module.exports.QueryValidationError = errors.QueryValidationError;
+module.exports.QueryCancelledError = errors.QueryCancelledError;
+module.exports.QueryTimeoutError = errors.QueryTimeoutError;
+module.exports.HandlerError = errors.HandlerError;
+module.exports.StreamError = errors.StreamError;
+
+module.exports.MemoryTracer = tracing.MemoryTracer;
+
+module.exports.Scheduler = scheduling.Scheduler;
\ No newline at end of file
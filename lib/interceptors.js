@@ -0,0 +1,123 @@
+'use strict';
+
+const _ = require('lodash');
+const joi = require('joi');
+const Stream = require('stream').Stream;
+
+const OPTIONS_SCHEMA = joi.object({
+    name: joi.string(),
+    order: joi.number().allow(Infinity, -Infinity),
+    before: joi.string(),
+    after: joi.string()
+}).nand('before', 'after');
+
+// the interceptor chains, by type
+const CHAINS = {
+    pre: 'preHandlers',
+    post: 'postHandlers',
+    through: 'throughHandlers',
+    error: 'errorHandlers'
+};
+
+/**
+ * Reads the registration of an interceptor in a chain
+ * @param {function|Stream} fn a chain entry
+ * @return {{name: string, order: number, before: string, after: string, interceptor: (function|Stream)}}
+ */
+function registration (fn) {
+    return fn && fn._registration || { interceptor: fn };
+}
+
+/**
+ * Wraps an interceptor in a function carrying its registration, so that chains remain plain arrays of functions.
+ * Through streams are piped to, as flow would
+ * @param {function|Stream} interceptor the interceptor
+ * @param {{}} options the registration options
+ * @return {function}
+ */
+function register (interceptor, options) {
+    const fn = interceptor instanceof Stream ?
+        s => s.pipe(interceptor) :
+        function () {
+            return interceptor.apply(this, arguments);
+        };
+
+    fn._registration = _.assign({ interceptor: interceptor }, options);
+    return fn;
+}
+
+/**
+ * Orders a chain. Entries are sorted by order, which defaults to 0, keeping entries of the same order in the order they
+ * were added, and then each entry with a before or after hint is moved next to the named entry, if present
+ * @param {[]} chain the chain
+ * @return {[]}
+ */
+function sort (chain) {
+    const sorted = _.sortBy(chain, fn => registration(fn).order || 0);
+    const indexOf = name => _.findIndex(sorted, fn => registration(fn).name === name);
+
+    chain.forEach(fn => {
+        const r = registration(fn);
+        const target = r.before || r.after;
+        if (!target || indexOf(target) < 0) return;
+
+        _.pull(sorted, fn);
+        sorted.splice(indexOf(target) + (r.before ? 0 : 1), 0, fn);
+    });
+
+    return sorted;
+}
+
+/**
+ * Resolves the property holding a type of interceptor chain
+ * @param {string} type pre, post, through or error
+ * @return {string}
+ */
+exports.chain = function (type) {
+    if (!CHAINS[type]) throw new Error(`Unknown interceptor type ${type}`);
+    return CHAINS[type];
+};
+
+/**
+ * Adds interceptors to a chain, returning the new chain
+ * @param {[]} chain the chain
+ * @param {function|Stream|[]} interceptors the interceptor or interceptors
+ * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+ * name, which must be unique within the chain, and positions it by order (lowest first) or next to another
+ * interceptor
+ * @return {[]}
+ */
+exports.add = function (chain, interceptors, options) {
+    if (!options) return sort(chain.concat(interceptors));
+
+    options = joi.attempt(options, OPTIONS_SCHEMA);
+    interceptors = [].concat(interceptors);
+
+    if (options.name) {
+        if (interceptors.length !== 1) throw new Error('Only a single interceptor may be registered under a name');
+        if (_.some(chain, fn => registration(fn).name === options.name)) {
+            throw new Error(`An interceptor named ${options.name} is already registered`);
+        }
+    }
+
+    return sort(chain.concat(interceptors.map(i => register(i, options))));
+};
+
+/**
+ * Removes a named interceptor from a chain, returning the new chain
+ * @param {[]} chain the chain
+ * @param {string} name the interceptor name
+ * @return {[]}
+ */
+exports.remove = function (chain, name) {
+    return chain.filter(fn => registration(fn).name !== name);
+};
+
+/**
+ * Lists the interceptors of a chain in order
+ * @param {[]} chain the chain
+ * @return {{name: string, order: number, before: string, after: string, interceptor: (function|Stream)}[]}
+ */
+exports.list = function (chain) {
+    return chain.map(fn => _.clone(registration(fn)));
+};
\ No newline at end of file
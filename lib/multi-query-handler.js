@@ -4,6 +4,13 @@ const QueryBuilder = require('./query-builder').QueryBuilder;
 const $ = require('highland');
 const _ = require('lodash');
 
+/**
+ * Creates a handler that executes each query of its payload in turn, tagging each row with the id of its query. Each
+ * query is executed by the supplied handler or, if none is supplied, by the handler registered for its language
+ * @param {function(Query, function)=} handler the handler of each query
+ * @param {{discriminator: string, discriminatorLabel: string}=} options
+ * @return {function(Query, function)}
+ */
 function multiQueryHandler(handler, { discriminator = '_type', discriminatorLabel } = {}) {
     return function (query, reply) {
         let active;
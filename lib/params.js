@@ -0,0 +1,126 @@
+'use strict';
+
+const _ = require('lodash');
+const joi = require('joi');
+const errors = require('./errors');
+
+// the param types of simple descriptors
+const TYPES = {
+    any: () => joi.any(),
+    string: () => joi.string(),
+    number: () => joi.number(),
+    integer: () => joi.number().integer(),
+    boolean: () => joi.boolean(),
+    date: () => joi.date(),
+    array: () => joi.array().single()
+};
+
+/**
+ * A simple param descriptor, either a type name or an object such as { type: 'integer', min: 1, required: true }
+ * @typedef {string|{type: string, required: boolean, default: *, valid: [], min: number, max: number, items: {},
+ * label: string, description: string}} ParamDescriptor
+ */
+
+/**
+ * Compiles a param descriptor into a joi schema
+ * @param {ParamDescriptor|{}} descriptor the descriptor or joi schema
+ * @return {{}}
+ */
+function compileParam (descriptor) {
+    if (descriptor.isJoi) return descriptor;
+    if (_.isString(descriptor)) descriptor = { type: descriptor };
+    if (!TYPES[descriptor.type]) throw new Error(`Unknown param type ${descriptor.type}`);
+
+    let schema = TYPES[descriptor.type]();
+    if (descriptor.items) schema = schema.items(compileParam(descriptor.items));
+    if (descriptor.valid) schema = schema.valid(descriptor.valid);
+    if (descriptor.min !== undefined) schema = schema.min(descriptor.min);
+    if (descriptor.max !== undefined) schema = schema.max(descriptor.max);
+    if (descriptor.required) schema = schema.required();
+    if (descriptor.default !== undefined) schema = schema.default(descriptor.default);
+    if (descriptor.label) schema = schema.label(descriptor.label);
+    if (descriptor.description) schema = schema.description(descriptor.description);
+
+    return schema;
+}
+
+/**
+ * Describes a param schema as a simple descriptor
+ * @param {{}} description the joi description of the schema
+ * @return {ParamDescriptor}
+ */
+function describeParam (description) {
+    const flags = description.flags || {};
+    const rules = _.indexBy(description.rules, 'name');
+
+    return _.omit({
+        type: rules.integer ? 'integer' : description.type,
+        required: flags.presence === 'required',
+        default: flags.default,
+        valid: flags.allowOnly ? description.valids : undefined,
+        min: rules.min && rules.min.arg,
+        max: rules.max && rules.max.arg,
+        items: _.isEmpty(description.items) ? undefined : describeParam(description.items[0]),
+        label: description.label,
+        description: description.description
+    }, _.isUndefined);
+}
+
+/**
+ * Compiles a params schema. Joi schemas are used as is, while simple descriptors of each param compile to an object
+ * schema that allows params it doesn't declare
+ * @param {{}} schema a joi schema or the descriptors of each param, by name
+ * @return {{}}
+ */
+exports.compile = function (schema) {
+    if (schema.isJoi) return schema;
+    return joi.object(_.mapValues(schema, compileParam)).unknown();
+};
+
+/**
+ * Describes each param declared by a params schema, by name, so that a UI may render inputs for them
+ * @param {{}=} schema the compiled schema
+ * @return {Object.<string, ParamDescriptor>}
+ */
+exports.describe = function (schema) {
+    return schema ? _.mapValues(schema.describe().children, describeParam) : {};
+};
+
+/**
+ * Describes each param declared by a params schema as a simple descriptor, by name, raising an error unless the
+ * descriptors compile back to an equivalent schema (e.g. a joi schema with a regex or an object param doesn't)
+ * @param {{}} schema the compiled schema
+ * @return {Object.<string, ParamDescriptor>}
+ */
+exports.serialize = function (schema) {
+    const descriptors = exports.describe(schema);
+    const compiled = _.attempt(exports.compile, descriptors);
+
+    if (_.isError(compiled) || !_.isEqual(compiled.describe(), schema.describe())) {
+        throw new Error('Cannot serialize the params of a query, as they can\'t be described by param descriptors');
+    }
+
+    return descriptors;
+};
+
+/**
+ * Validates params against a schema, applying conversions and defaults. A QueryValidationError lists every invalid
+ * param
+ * @param {{}=} schema the compiled schema
+ * @param {{}} params the params
+ * @param {Query} query the query
+ * @return {{}} the validated params
+ */
+exports.validate = function (schema, params, query) {
+    if (!schema) return params;
+
+    joi.validate(params, schema, { abortEarly: false }, (err, validated) => {
+        if (err) {
+            const message = `Invalid params: ${_.pluck(err.details, 'message').join(', ')}`;
+            throw new errors.QueryValidationError(message, { query: query, cause: err });
+        }
+        params = validated;
+    });
+
+    return params;
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+'use strict';
+
+const _ = require('lodash');
+const joi = require('joi');
+const errors = require('./errors');
+
+const PLUGIN_SCHEMA = joi.object({
+    name: joi.string().required(),
+    version: joi.string(),
+    dependencies: joi.array().items(joi.string()).single().default([]),
+    schema: joi.object(),
+    register: joi.func().required()
+}).unknown();
+
+let globalPlugins = [];
+
+/**
+ * A plugin registers itself with each query it's used by, once per name. Its options are validated against its joi
+ * schema when it's used, and each of its dependencies must be registered with the query before it.
+ * @typedef {{name: string, version: string, dependencies: string[], schema: {}, register: function(Query, {})}} Plugin
+ */
+
+/**
+ * Validates a value, raising a QueryValidationError
+ * @param {*} value the value
+ * @param {{}} schema the joi schema
+ * @param {string} message describes the value
+ * @return {*} the validated value
+ */
+function validate (value, schema, message) {
+    joi.validate(value, schema, (err, validated) => {
+        if (err) throw new errors.QueryValidationError(`${message}: ${err.message}`, { cause: err });
+        value = validated;
+    });
+
+    return value;
+}
+
+/**
+ * Prepares a plugin for registration with queries, validating the plugin and its options. Plugin registration
+ * functions are registered as is
+ * @param {Plugin|function} plugin the plugin
+ * @param {{}=} options the plugin options
+ * @return {{plugin: Plugin, options: {}}|function}
+ */
+exports.prepare = function (plugin, options) {
+    if (typeof plugin === 'function') return plugin;
+
+    plugin = validate(plugin, PLUGIN_SCHEMA, 'Invalid plugin');
+    if (plugin.schema) options = validate(options || {}, plugin.schema, `Invalid options for plugin ${plugin.name}`);
+    return { plugin: plugin, options: options };
+};
+
+/**
+ * Registers prepared plugins with a query in order, skipping plugins whose name is already registered. Each
+ * registered plugin is given a state namespace at query.plugins[name]
+ * @param {Query} query the query
+ * @param {[]} plugins the prepared plugins
+ */
+exports.register = function (query, plugins) {
+    plugins.forEach(entry => {
+        if (typeof entry === 'function') return entry(query);
+
+        const plugin = entry.plugin;
+        if (query.plugins[plugin.name]) return;
+
+        const missing = plugin.dependencies.filter(name => !query.plugins[name]);
+        if (missing.length) {
+            const message = `Plugin ${plugin.name} depends on ${missing.join(', ')}, which must be registered first`;
+            throw new errors.QueryValidationError(message, { query: query });
+        }
+
+        query.plugins[plugin.name] = {};
+        plugin.register(query, entry.options);
+    });
+};
+
+/**
+ * Registers a plugin with all queries built from now on, ahead of the plugins used by their builders
+ * @param {Plugin|function} plugin the plugin
+ * @param {{}=} options the plugin options
+ */
+exports.use = function (plugin, options) {
+    globalPlugins.push(exports.prepare(plugin, options));
+};
+
+/**
+ * Removes a globally registered plugin
+ * @param {string} name the plugin name
+ */
+exports.remove = function (name) {
+    globalPlugins = globalPlugins.filter(entry => !entry.plugin || entry.plugin.name !== name);
+};
+
+/**
+ * The globally registered plugins
+ * @return {[]}
+ */
+exports.globals = function () {
+    return _.clone(globalPlugins);
+};
\ No newline at end of file
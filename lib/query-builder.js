@@ -3,6 +3,65 @@
 const _ = require('lodash');
 const Query = require('./query').Query;
 const FieldConfigurator = require('./field-configurator').FieldConfigurator;
+const interceptors = require('./interceptors');
+const plugins = require('./plugins');
+const handlers = require('./handlers');
+const parameters = require('./params');
+const serialization = require('./serialization');
+const clauses = require('./clauses');
+
+/**
+ * Copies a query definition. Plain objects and arrays (handler chains, fields, listeners, etc.) are copied deeply while
+ * functions and other instances such as streams are shared
+ * @param {{}} defn the definition
+ * @return {{}}
+ */
+function cloneDefn (defn) {
+    return _.cloneDeep(defn, value => _.isPlainObject(value) || _.isArray(value) ? undefined : value);
+}
+
+// the interceptor chains of a definition
+const INTERCEPTORS = ['pre', 'post', 'through', 'error'].map(interceptors.chain);
+
+// definition chains that a registered handler's defaults precede rather than fill in
+const CHAINS = INTERCEPTORS.concat('plugins', 'listeners');
+
+/**
+ * Fills in the values a definition lacks from defaults, merging plain objects (options, fields, etc.) deeply. Arrays
+ * are never merged by index, so a definition's array replaces that of the defaults
+ * @param {{}} defn the definition
+ * @param {{}} defaults the defaults
+ * @return {{}}
+ */
+function fillDefaults (defn, defaults) {
+    _.forEach(defaults, (value, key) => {
+        if (_.isPlainObject(value) && _.isPlainObject(defn[key])) fillDefaults(defn[key], value);
+        else if (defn[key] === undefined) defn[key] = value;
+    });
+
+    return defn;
+}
+
+/**
+ * Applies a registered handler's definition defaults under a definition. The interceptor chains, plugins and listeners
+ * of the defaults come before those of the definition, and the other defaults fill in what the definition lacks
+ * @param {{}} defn the definition
+ * @param {{}} defaults the registered defaults, which are copied
+ * @return {{}}
+ */
+function applyDefaults (defn, defaults) {
+    defaults = cloneDefn(defaults);
+
+    CHAINS.forEach(key => {
+        if (!defaults[key]) return;
+
+        // interceptor chains are sorted again, by order
+        if (_.includes(INTERCEPTORS, key)) defn[key] = interceptors.add(defaults[key], defn[key]);
+        else defn[key] = defaults[key].concat(defn[key]);
+    });
+
+    return fillDefaults(defn, _.omit(defaults, CHAINS));
+}
 
 /**
  * A DSL for building queries and executing them via a "handler" function. This class makes no assumptions about the
@@ -11,7 +70,7 @@ const FieldConfigurator = require('./field-configurator').FieldConfigurator;
  * Query result streams may be intercepted and modified through the use of through stream mapper functions. Each
  * function is passed the current stream and a QueryResult instance.
  *
- * Queries may be executed multiple times, generating a new response and result stream each time.
+ * Builders may be executed multiple times, generating a new query, response and result stream each time.
  *
  * @example
  * <pre>
@@ -46,15 +105,17 @@ class QueryBuilder {
     }
 
     /**
-     * Sets query's handler function, which is called when the query is executed
+     * Sets query's handler function, which is called when the query is executed. The handler may reply through the
+     * reply callback, return a promise to the reply data or return an async iterable
      * @param {function(Query, function)} handler the handler function
      * @param {{}=} receiver an optional receiver to bind to the handler
      */
     handler (handler, receiver) {
-        if (!_.isFunction(handler)) throw new Error('handler must be a function');
+        handlers.assertHandler(handler);
 
         // bind the handler to its receiver, if the handler function is a method
-        this.defn.handler = receiver ? handler.bind(receiver) : handler;
+        // bound handlers keep the handler's properties, such as supportsExplain
+        this.defn.handler = receiver ? _.assign(handler.bind(receiver), handler) : handler;
 
         return this;
     }
@@ -104,6 +165,171 @@ class QueryBuilder {
         return this;
     }
 
+    /**
+     * Requests a page of the result. The page is conveyed to the handler as query.page so that paging can be pushed
+     * down to the data source, in which case the handler marks the reply as paged. Otherwise the page is taken from
+     * the result stream by skipping the offset and taking the page size.
+     *
+     * @param {{size: number, offset: number}} page the page size and the number of rows to skip
+     * @example
+     * builder.page({ size: 50, offset: 100 })
+     * @return {QueryBuilder}
+     */
+    page (page) {
+        this.defn.page = _.assign({}, this.defn.page, page);
+        return this;
+    }
+
+    /**
+     * Requests the page following a cursor returned as a previous result's nextCursor
+     *
+     * @param {*} cursor the cursor
+     * @example
+     * builder.page({ size: 50 }).after(result.nextCursor)
+     * @return {QueryBuilder}
+     */
+    after (cursor) {
+        this.defn.page = _.assign({}, this.defn.page, { after: cursor });
+        return this;
+    }
+
+    /**
+     * Filters the result by a predicate, which maps each field to the value it must equal or to its conditions by
+     * operator (eq, ne, gt, gte, lt, lte, in or nin). Predicates of multiple calls must all match. The conditions are
+     * conveyed to the handler as query.where so that filtering can be pushed down to the data source, in which case the
+     * handler declares the clause handled, e.g. reply(rows).handled('where'). Otherwise the result stream is filtered
+     *
+     * @param {{}} predicate the predicate
+     * @example
+     * builder.where({ last: 'Leupen', age: { gte: 18, lt: 65 } })
+     * @return {QueryBuilder}
+     */
+    where (predicate) {
+        this.defn.where = (this.defn.where || []).concat(clauses.conditions(predicate));
+        return this;
+    }
+
+    /**
+     * Sorts the result by a field, after the fields of any previous calls. The sort is conveyed to the handler as
+     * query.orderBy, and unless the handler declares the clause handled the result stream is read in full and sorted
+     *
+     * @param {string} field the field
+     * @param {string=} direction asc, the default, or desc
+     * @return {QueryBuilder}
+     */
+    orderBy (field, direction) {
+        this.defn.orderBy = (this.defn.orderBy || []).concat({ field: field, direction: direction || 'asc' });
+        return this;
+    }
+
+    /**
+     * Projects the result to a set of fields, trimming the result's fields to match. The projection is conveyed to
+     * the handler as query.select, and unless the handler declares the clause handled each row is projected
+     *
+     * @param {string|string[]} fields the fields
+     * @return {QueryBuilder}
+     */
+    select (fields) {
+        this.defn.select = [].concat(fields);
+        return this;
+    }
+
+    /**
+     * Sets a timeout, in milliseconds. If the handler hasn't replied or the result stream hasn't finished within the
+     * timeout the query is cancelled and fails with a QueryTimeoutError
+     *
+     * @param {number} timeout the timeout in milliseconds
+     * @return {QueryBuilder}
+     */
+    timeout (timeout) {
+        this.defn.timeout = timeout;
+        return this;
+    }
+
+    /**
+     * Sets a retry policy for handler failures. A failing handler is re-invoked until it replies or the number of
+     * attempts is exhausted, at which point the error is handled as usual.
+     *
+     * The backoff is a delay in milliseconds or a function of the failed attempt number and error, and retryOn a
+     * predicate of the error and failed attempt number.
+     *
+     * @param {{attempts: number, backoff: (number|function), retryOn: function}|number} retry the retry policy or a
+     * number of attempts
+     * @example
+     * builder.retry({ attempts: 3, backoff: n => n * 100, retryOn: err => err.code === 'ECONNRESET' })
+     * @return {QueryBuilder}
+     */
+    retry (retry) {
+        this.defn.retry = _.isNumber(retry) ? { attempts: retry } : retry;
+        return this;
+    }
+
+    /**
+     * Sets a tracer, which opens spans around the execution of the query, each phase of execution, each through handler
+     * and the consumption of the result stream. Overrides any tracer set globally with newQuery.tracer()
+     * @param {Tracer} tracer the tracer
+     * @return {QueryBuilder}
+     */
+    tracer (tracer) {
+        this.defn.tracer = tracer;
+        return this;
+    }
+
+    /**
+     * Sets the scheduler limiting concurrent handlers. Overrides any scheduler set globally with newQuery.scheduler()
+     * @param {Scheduler} scheduler the scheduler
+     * @return {QueryBuilder}
+     */
+    scheduler (scheduler) {
+        this.defn.scheduler = scheduler;
+        return this;
+    }
+
+    /**
+     * Sets the query's priority. Queries waiting on a scheduler are started in order of priority, highest first
+     * @param {number} priority the priority, which defaults to 0
+     * @return {QueryBuilder}
+     */
+    priority (priority) {
+        this.defn.priority = priority;
+        return this;
+    }
+
+    /**
+     * Enables deduplication of identical queries. While the handler is running for a query with the same handler, mode,
+     * payload, language, escape strategy, user, limit, page, params, clauses, options and data types, the query shares
+     * that invocation rather than invoking the handler again. Each query still receives its own result, with an
+     * independent stream, fields and cancellation.
+     * @param {boolean=} enabled defaults to true
+     * @return {QueryBuilder}
+     */
+    dedupe (enabled) {
+        this.defn.dedupe = enabled !== false;
+        return this;
+    }
+
+    /**
+     * Sets the minimum interval between the progress events emitted while the result is streamed. A final progress
+     * event is always emitted when the stream ends
+     * @param {number|boolean} interval the interval in milliseconds, which defaults to 1000, or false to disable
+     * automatic progress events
+     * @return {QueryBuilder}
+     */
+    progressInterval (interval) {
+        this.defn.progressInterval = interval;
+        return this;
+    }
+
+    /**
+     * Sets an AbortSignal that cancels the query when aborted
+     * @param {AbortSignal} signal the abort signal
+     * @return {QueryBuilder}
+     */
+    signal (signal) {
+        this.defn.signal = signal;
+        return this;
+    }
+
     /**
      * Configures a field
      * @param {string} field the field name
@@ -153,23 +379,85 @@ class QueryBuilder {
     }
 
     /**
-     * Creates a new query instance by merging the current defaults with the specified params
+     * Creates a new query instance by merging the current defaults with the specified params. The query receives its
+     * own copy of the definition, so neither the params nor changes made to the query affect the builder. A builder
+     * with a language but no handler uses the handler registered for its language, along with its defaults
      * @param params
      * @return {Query}
      */
     build (params) {
-        const defn = _.assign(this.defn, { params: params });
+        const defn = _.assign(cloneDefn(this.defn), { params: params });
+
+        if (!defn.handler && defn.language) {
+            const registered = handlers.resolve(defn);
+            applyDefaults(defn, _.assign({ handler: registered.handler }, registered.defaults));
+        }
 
+        defn.plugins = plugins.globals().concat(defn.plugins);
         return new Query().configure(defn);
     }
 
+    /**
+     * Builds a query and runs it, rejecting with any error raised building the query (e.g. for an unknown language or
+     * an invalid definition) rather than throwing it. The error is first passed to the definition's error handlers and
+     * queryError listeners, as the query's own errors are
+     * @param {{}, []=} params optional query params
+     * @param {function(Query): Promise} run runs the query
+     * @return {Promise}
+     * @private
+     */
+    _run (params, run) {
+        let query;
+
+        try {
+            query = this.build(params);
+        } catch (err) {
+            const failed = new Query();
+            _.attempt(() => failed.configure(_.pick(this.defn, 'id', 'language', 'errorHandlers', 'listeners')));
+            return failed._handleError(err);
+        }
+
+        return run(query);
+    }
+
+    /**
+     * Creates a copy of this builder that can be configured independently
+     * @return {QueryBuilder}
+     */
+    clone () {
+        const builder = new QueryBuilder();
+        builder.defn = cloneDefn(this.defn);
+        return builder;
+    }
+
     /**
      * Runs the query with the supplied parameters, returning a promise to a QueryResult
      * @param {{}, []=} params optional query params
      * @return {Promise.<QueryResult>}
      */
     execute (params) {
-        return this.build(params).execute();
+        return this._run(params, q => q.execute());
+    }
+
+    /**
+     * Counts the records of the query with the supplied parameters. The query's mode is 'count', so that the handler
+     * may reply with a count of its data, e.g. reply().count(n), instead of records
+     * @param {{}, []=} params optional query params
+     * @return {Promise.<number>}
+     */
+    count (params) {
+        return this._run(params, q => q.count());
+    }
+
+    /**
+     * Explains the query with the supplied parameters without executing it, resolving to a report of the payload, bound
+     * params, limit, fields and through handlers the query would run with, and the handler's plan if the handler
+     * supports explain
+     * @param {{}, []=} params optional query params
+     * @return {Promise.<{}>}
+     */
+    explain (params) {
+        return this._run(params, q => q.explain());
     }
 
     /**
@@ -187,51 +475,149 @@ class QueryBuilder {
      * @return {Promise.<{}[]>}
      */
     toArray (params) {
-        return this.build(params).toArray();
+        return this._run(params, q => q.toArray());
     }
 
     /**
-     * Applies a pre interceptor
+     * Executes the query, synchronously returning a stream of arrays of up to size records. Destroying the stream or
+     * ending iteration early cancels the query
+     * @param {{}, []=} params optional query params
+     * @param {number} size the maximum number of records in a batch, a positive integer
+     * @param {{maxWaitMs: number}=} options emits a partial batch once maxWaitMs have passed since its first record
+     * @example
+     * for await (const batch of builder.batches({ since: yesterday }, 500)) await index(batch);
+     * @return {Stream}
+     */
+    batches (params, size, options) {
+        return this.build(params).batches(size, options);
+    }
+
+    /**
+     * Builds and executes the query, returning an async iterator over the result stream
+     * @example
+     * for await (const row of builder) console.log(row);
+     * @return {{next: function, return: function}}
+     */
+    [Symbol.asyncIterator] () {
+        return this.build()[Symbol.asyncIterator]();
+    }
+
+    /**
+     * Applies a pre interceptor. Interceptors of each type are applied in the order they're added, unless positioned
+     * by order (lowest first) or before or after another named interceptor.
+     *
+     * A pre interceptor may skip the handler by returning a QueryResult or by replying with the reply function passed
+     * as its second argument, just as a handler would. Post interceptors and through handlers still apply, and the
+     * result's source is 'pre'
      * @param interceptor
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
+     * @example
+     * builder.pre((query, reply) => {
+     *     if (!allowed(query.user)) reply([]).field('reason', f => f.label('Permission denied'));
+     * })
      * @return {QueryBuilder}
      */
-    pre (interceptor) {
-        this.defn.preHandlers = this.defn.preHandlers.concat(interceptor);
+    pre (interceptor, options) {
+        this.defn.preHandlers = interceptors.add(this.defn.preHandlers, interceptor, options);
         return this;
     }
 
     /**
      * Applies a post interceptor
      * @param interceptor
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
      * @return {QueryBuilder}
      */
-    post (interceptor) {
-        this.defn.postHandlers = this.defn.postHandlers.concat(interceptor);
+    post (interceptor, options) {
+        this.defn.postHandlers = interceptors.add(this.defn.postHandlers, interceptor, options);
         return this;
     }
 
     /**
      * Appends one or more stream mappers to the through chain
      * @param {function|function[]} streams the stream mappers
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
      * @return {QueryBuilder}
      */
-    through (streams) {
-        this.defn.throughHandlers = this.defn.throughHandlers.concat(streams);
+    through (streams, options) {
+        this.defn.throughHandlers = interceptors.add(this.defn.throughHandlers, streams, options);
         return this;
     }
 
     /**
-     * Applies an error interceptor
+     * Applies an error interceptor. Error interceptors are called in order with the error and the query. An
+     * interceptor may recover a query that hasn't yet resolved with a result by returning a { fallback }, where the
+     * fallback is result data, a QueryResult of an earlier query (e.g. a last known good result) or a handler function
+     * to invoke instead. The query then resolves with the fallback result, whose recoveredFrom is the error, and emits
+     * a queryRecovered event rather than a queryError event. Other return values are ignored.
      * @param interceptor
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
+     * @example
+     * builder.error(err => err instanceof HandlerError ? { fallback: replicaHandler } : undefined)
+     * @return {QueryBuilder}
+     */
+    error (interceptor, options) {
+        this.defn.errorHandlers = interceptors.add(this.defn.errorHandlers, interceptor, options);
+        return this;
+    }
+
+    /**
+     * Lists the interceptors of a type in the order they're applied
+     * @param {string} type pre, post, through or error
+     * @return {{name: string, order: number, before: string, after: string, interceptor: function}[]}
+     */
+    interceptors (type) {
+        return interceptors.list(this.defn[interceptors.chain(type)]);
+    }
+
+    /**
+     * Removes a named interceptor
+     * @param {string} type pre, post, through or error
+     * @param {string} name the interceptor name
+     * @example
+     * builder
+     *     .pre(authorize, { name: 'authorize', order: -10 })
+     *     .pre(memoize, { name: 'memoize', after: 'authorize' })
+     *     .removeInterceptor('pre', 'memoize');
+     * @return {QueryBuilder}
+     */
+    removeInterceptor (type, name) {
+        const chain = interceptors.chain(type);
+        this.defn[chain] = interceptors.remove(this.defn[chain], name);
+        return this;
+    }
+
+    /**
+     * Declares the query's params. Runtime params are validated against the schema when the query is executed, applying
+     * conversions and defaults, and the query is rejected with a QueryValidationError listing every invalid param
+     * @example
+     * <pre>
+     * query('select * from orders where year = :year')
+     *      .params({ year: { type: 'integer', min: 1990, required: true }, region: 'string' })
+     *      .execute({ year: '2016' });
+     * </pre>
+     * @param {{}} schema a joi schema, or the joi schema or simple descriptor of each param, by name
      * @return {QueryBuilder}
      */
-    error (interceptor) {
-        this.defn.errorHandlers = this.defn.errorHandlers.concat(interceptor);
+    params (schema) {
+        this.defn.paramSchema = parameters.compile(schema);
         return this;
     }
 
     /**
-     * Sets the query language of the payload
+     * Describes the declared params, by name, so that a UI may render inputs for them
+     * @return {Object.<string, ParamDescriptor>}
+     */
+    describeParams () {
+        return parameters.describe(this.defn.paramSchema);
+    }
+
+    /**
+     * Sets the query language of the payload, which resolves the query's handler if none is set
      * @param {string} language
      * @return {QueryBuilder}
      */
@@ -241,12 +627,35 @@ class QueryBuilder {
     }
 
     /**
-     * Registers a plugin
-     * @param {function|function[]} plugin the plugin registration function or functions
+     * Sets how params bound into the payload are escaped, overriding the default escaping of the query's language.
+     * Params are bound into :name and {{name}} placeholders of the payload before the handler is invoked, which reads
+     * the result as query.boundPayload
+     * @param {string|function(*): string} escape literal (an SQL literal), identifier (an SQL identifier), json, raw or
+     * an escape function
      * @return {QueryBuilder}
      */
-    use (plugin) {
-        this.defn.plugins.push(plugin);
+    escape (escape) {
+        this.defn.escape = escape;
+        return this;
+    }
+
+    /**
+     * Registers a plugin with the queries built by this builder. Plugins are registered in order, after any plugins
+     * registered globally with newQuery.use(), and once per name
+     * @param {Plugin|function|function[]} plugin the plugin, or the plugin registration function or functions
+     * @param {{}=} options the plugin options, validated against the plugin's schema
+     * @example
+     * builder.use({
+     *     name: 'audit',
+     *     version: '1.0.0',
+     *     dependencies: ['auth'],
+     *     schema: joi.object({ table: joi.string().required() }),
+     *     register: (query, options) => query.post(r => audit(options.table, query.plugins.auth.user, r))
+     * }, { table: 'query_audit' });
+     * @return {QueryBuilder}
+     */
+    use (plugin, options) {
+        [].concat(plugin).forEach(p => this.defn.plugins.push(plugins.prepare(p, options)));
         return this;
     }
 
@@ -270,6 +679,32 @@ class QueryBuilder {
         _.merge(this.defn, config);
         return this;
     }
+
+    /**
+     * Serializes the definition as versioned, JSON-safe data, which newQuery.fromJSON() rebuilds. The handler, plugins
+     * and interceptors are referenced by name, so each interceptor must be named and each function must have a name.
+     * Params are serialized as param descriptors, so a params schema that they can't describe can't be serialized
+     * @example
+     * <pre>
+     * const saved = JSON.stringify(query('select * from people').language('sql').pre(audit, { name: 'audit' }));
+     * const builder = newQuery.fromJSON(JSON.parse(saved), { interceptors: { audit: audit } });
+     * </pre>
+     * @return {{}}
+     */
+    toJSON () {
+        return serialization.toJSON(this.defn);
+    }
+
+    /**
+     * Rebuilds a builder from a definition serialized by toJSON()
+     * @param {{}} json the serialized definition
+     * @param {{handlers: {}, plugins: {}, interceptors: {}}=} registry the handlers, plugins and interceptors
+     * referenced by the definition, by name. Handlers registered for a language are resolved by language
+     * @return {QueryBuilder}
+     */
+    static fromJSON (json, registry) {
+        return serialization.fromJSON(new QueryBuilder(), json, registry);
+    }
 }
 
 exports.QueryBuilder = QueryBuilder;
\ No newline at end of file
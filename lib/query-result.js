@@ -6,6 +6,73 @@ const $ = require('highland');
 const flow = require('ent-flow');
 const stream = require('stream');
 const FieldConfigurator = require('./field-configurator').FieldConfigurator;
+const tracing = require('./tracing');
+const errors = require('./errors');
+const interceptors = require('./interceptors');
+const clauses = require('./clauses');
+
+/**
+ * Computes the milliseconds between two dates, if both are set
+ * @param {Date=} from
+ * @param {Date=} to
+ * @return {number|undefined}
+ */
+function elapsed (from, to) {
+    return from && to ? to - from : undefined;
+}
+
+/**
+ * Creates an async iterator pulling from a stream on demand
+ * @param {Stream} $stream the stream
+ * @param {function} abandon called when iteration ends early
+ * @return {{next: function, return: function}}
+ */
+function iterate ($stream, abandon) {
+    return {
+        next: () => new P((resolve, reject) => {
+            $stream.pull((err, value) => {
+                if (err) return reject(err);
+                resolve($.isNil(value) ? { done: true, value: undefined } : { done: false, value: value });
+            });
+        }),
+
+        return: value => {
+            abandon();
+            return P.resolve({ done: true, value: value });
+        },
+
+        [Symbol.asyncIterator] () {
+            return this;
+        }
+    };
+}
+
+/**
+ * Makes a stream async iterable and calls cancel when the stream is destroyed or iteration ends early
+ * @param {Stream} $stream the stream
+ * @param {function} cancel
+ * @return {Stream}
+ */
+function cancellable ($stream, cancel) {
+    const destroy = $stream.destroy;
+    cancel = _.once(cancel);
+
+    $stream.destroy = function () {
+        cancel();
+        return destroy.call(this);
+    };
+    $stream[Symbol.asyncIterator] = () => iterate($stream, cancel);
+    return $stream;
+}
+
+/**
+ * The row offset a page starts at. Cursors issued by the fallback paging are row offsets
+ * @param {{size: number, offset: number, after: *}} page
+ * @return {number}
+ */
+function pageStart (page) {
+    return page.after !== undefined ? Number(page.after) : page.offset || 0;
+}
 
 /**
  * The result of a query. Houses any metadata returned by the driver and provides an interface to begin streaming
@@ -21,22 +88,139 @@ class QueryResult {
         this.query = query;
         this.fields = _.assign({}, query.fields);
         this.throughHandlers = [].concat(query.throughHandlers);
-        this._source = this._initDatastream(data).filter(() => !query.cancelled);
         this._passthrough = new stream.PassThrough({ objectMode: true });
+        this._rows = { source: 0, emitted: 0 };
+        this._source = this._initDatastream(data)
+            .filter(() => !query.cancelled)
+            .tap(() => {
+                this._rows.source++;
+                this._reportProgress();
+            });
 
         // cancel was called after execute started but before the result was created
         if (query.cancelled) this.cancel();
     }
 
     /**
-     * Initializes the query result's stream
+     * Initializes the query result's stream, applying the clauses the handler didn't handle, the page and the limit
      * @param data
      * @return {*}
      * @private
      */
     _initDatastream (data) {
         data = data || [];
-        return this.query.limit >= 0 ? $(data).take(this.query.limit) : $(data);
+        if (_.isFunction(data[Symbol.asyncIterator])) data = this._fromAsyncIterable(data);
+        return this._limit(this._paginate(clauses.apply($(data), this.query, () => this.handled || [])));
+    }
+
+    /**
+     * Takes up to the query's limit from the data stream, ending it as soon as the limit is reached. The source is then
+     * peeked for a row beyond the limit, which marks the result truncated once it arrives without holding back the end
+     * of the stream
+     * @param {Stream} $data
+     * @return {Stream}
+     * @private
+     */
+    _limit ($data) {
+        const limit = this.query.limit;
+        if (limit < 0) return $data;
+        if (limit === 0) return $([]);
+
+        let count = 0;
+        return $data.consume((err, x, push, next) => {
+            if (err || $.isNil(x)) {
+                push(err, x);
+                return $.isNil(x) || next();
+            }
+
+            push(null, x);
+            if (++count < limit) return next();
+
+            push(null, $.nil);
+            $data.pull((err, x) => this.truncated = !err && !$.isNil(x));
+        });
+    }
+
+    /**
+     * Takes the requested page from the data stream, unless the handler marked the reply as paged. The page is only
+     * known to be the last once the stream ends, so hasMore and nextCursor are set as the stream is consumed. Cursors
+     * issued by the fallback are row offsets
+     * @param {Stream} $data
+     * @return {Stream}
+     * @private
+     */
+    _paginate ($data) {
+        const page = this.query.page;
+        if (!page) return $data;
+
+        const start = pageStart(page);
+        const end = page.size ? start + page.size : Infinity;
+        let index = 0;
+
+        return $data.consume((err, x, push, next) => {
+            // the handler paged the data itself
+            if (err || this.paged) {
+                push(err, x);
+                return $.isNil(x) || next();
+            }
+
+            if ($.isNil(x)) {
+                this.hasMore = false;
+                return push(null, x);
+            }
+
+            index++;
+            if (index <= start) return next();
+
+            // a row beyond the end of the page ends the stream
+            if (index > end) {
+                this.hasMore = true;
+                this.nextCursor = end;
+                return push(null, $.nil);
+            }
+
+            push(null, x);
+            next();
+        });
+    }
+
+    /**
+     * Takes the query's page and limit from the selected number of records the handler replied to a count with
+     * @return {number}
+     * @private
+     */
+    _countSelected () {
+        const page = this.paged ? undefined : this.query.page;
+        const limit = this.query.limit;
+        let count = Number(this.selected);
+
+        if (page) count = Math.min(Math.max(count - pageStart(page), 0), page.size || Infinity);
+        return limit >= 0 ? Math.min(count, limit) : count;
+    }
+
+    /**
+     * Adapts an async iterable (e.g. an async generator) to a highland generator stream. The iterator is returned
+     * when the result ends so that generators may release any resources in a finally block
+     * @param iterable
+     * @return {Stream}
+     * @private
+     */
+    _fromAsyncIterable (iterable) {
+        const iterator = iterable[Symbol.asyncIterator]();
+        this._passthrough.on('end', () => _.isFunction(iterator.return) && P.resolve(iterator.return()).catch(_.noop));
+
+        return $((push, next) => {
+            P.resolve(iterator.next()).then(
+                item => {
+                    if (item.done) return push(null, $.nil);
+                    push(null, item.value);
+                    next();
+                },
+                err => {
+                    push(err);
+                    push(null, $.nil);
+                });
+        });
     }
 
     /**
@@ -82,18 +266,42 @@ class QueryResult {
     /**
      * Adds a new stream factory to the end of the through stream
      * @param {function} handlers
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
      * @example
      * qr.through(s => s.filter(filterFn));
+     * qr.through(s => s.pipe(serializer), { name: 'serialize', order: -Infinity });
      * @return {QueryResult}
      */
-    through (handlers) {
-        this.throughHandlers = this.throughHandlers.concat(handlers);
+    through (handlers, options) {
+        this.throughHandlers = interceptors.add(this.throughHandlers, handlers, options);
+        return this;
+    }
+
+    /**
+     * Lists the through interceptors in the order they're applied. Results have no other type of interceptor
+     * @param {string} type through
+     * @return {{name: string, order: number, before: string, after: string, interceptor: function}[]}
+     */
+    interceptors (type) {
+        return interceptors.list(this[interceptors.chain(type)] || []);
+    }
+
+    /**
+     * Removes a named through interceptor
+     * @param {string} type through
+     * @param {string} name the interceptor name
+     * @return {QueryResult}
+     */
+    removeInterceptor (type, name) {
+        const chain = interceptors.chain(type);
+        if (this[chain]) this[chain] = interceptors.remove(this[chain], name);
         return this;
     }
 
     /**
      * Shims the query result for synchronous configuration by the query handler
-     * @return {{fields: fields, selected: selected, field: field}}
+     * @return {{fields: fields, selected: selected, count: count, handled: handled, paged: paged, field: field}}
      */
     shim () {
         var self = this;
@@ -112,6 +320,34 @@ class QueryResult {
                 return this;
             },
 
+            // replies to a count query with the number of selected records, which needn't be streamed
+            count: function (value) {
+                self.selected = value;
+                self.counted = true;
+                return this;
+            },
+
+            // declares the clauses (where, orderBy, select) the handler pushed down to the data source, which aren't
+            // applied again to the data
+            handled: function () {
+                const handled = _.flatten(_.toArray(arguments));
+                const unknown = _.difference(handled, clauses.CLAUSES);
+                if (unknown.length) throw new Error(`Unknown clause ${unknown.join(', ')}`);
+
+                self.handled = _.union(self.handled || [], handled);
+                return this;
+            },
+
+            // marks the data as already paged by the handler, optionally with the cursor of the next page and whether
+            // there are more pages
+            paged: function (page) {
+                page = page || {};
+                self.paged = true;
+                self.nextCursor = page.nextCursor;
+                self.hasMore = page.hasMore;
+                return this;
+            },
+
             // subscribes to stream events
             on: function (event, handler) {
                 self._passthrough.on(event, handler);
@@ -130,6 +366,44 @@ class QueryResult {
         };
     }
 
+    /**
+     * Wraps a through handler in a tracing span that ends when the handler's stream ends
+     * @param {function|Stream} through the through handler
+     * @param {number} index the handler's position in the through chain
+     * @param {Span} parent the stream span
+     * @return {function}
+     * @private
+     */
+    _traceThrough (through, index, parent) {
+        return (s, ctx) => {
+            const span = this.query._startSpan('query.through', { 'query.through.index': index }, parent);
+            let rows = 0;
+            this._throughSpans.push(span);
+
+            // mimic flow's coercion of through handlers
+            if (through instanceof stream.Stream) s = s.pipe(through);
+            else if (_.isFunction(through)) s = through(s, ctx);
+
+            return $(s).consume((err, x, push, next) => {
+                if (err) {
+                    push(err);
+                    return next();
+                }
+
+                if ($.isNil(x)) {
+                    span.setAttributes({ 'query.rows': rows });
+                    span.end();
+                    _.pull(this._throughSpans, span);
+                    return push(null, x);
+                }
+
+                rows++;
+                push(null, x);
+                next();
+            });
+        };
+    }
+
     /**
      * Creates a data flow by mapping over the source stream through the through stream mappers
      * @return {Object}
@@ -138,10 +412,18 @@ class QueryResult {
         const self = this;
         let _sourceErr;
         this._source.on('error', err => _sourceErr = err);
+        this.streamedAt = new Date();
+
+        let throughHandlers = this.throughHandlers;
+        if (tracing.isTracing(this.query.tracer)) {
+            this._streamSpan = this.query._startSpan('query.stream');
+            this._throughSpans = [];
+            throughHandlers = throughHandlers.map((t, i) => this._traceThrough(t, i, this._streamSpan));
+        }
 
         const streams = []
             .concat(_.constant(this._source.pipe(this._passthrough)))
-            .concat(this.throughHandlers);
+            .concat(throughHandlers);
 
         // the query result instance will be the context variable passed to all through streams.
         const $flow = flow.create(this, streams).stream();
@@ -156,8 +438,8 @@ class QueryResult {
         const $stream = new stream.Readable({
             objectMode: true,
             read () {
-                // shortcircuit - propagate error from source
-                if (_sourceErr) return this.emit('error', _sourceErr);
+                // shortcircuit - propagate error from source or a failed result
+                if (_sourceErr || self.error) return this.emit('error', self._streamError(_sourceErr || self.error));
                 // query-result canceled: push null to end this stream and roll up so shim listeners are notified as well b/c $flow.pull() won't pull anything once _source.destroy() is called during cancel() and this stream will just sit waiting to push
                 if (self.cancelled) {
                     self._source.end();
@@ -165,20 +447,130 @@ class QueryResult {
                 }
                 // read, push. coerce any highland-nil to null and push to end stream
                 $flow.pull((err, val) => {
-                    err = err || _sourceErr;
+                    err = err || _sourceErr || self.error;
                     if (err) {
-                        this.emit('error', err);
+                        this.emit('error', self._streamError(err));
                     } else {
                         val = $.isNil(val) ? null : val;
+                        if (val !== null) {
+                            self.firstRowAt = self.firstRowAt || new Date();
+                            self._rows.emitted++;
+                        }
                         this.push(val);
                     }
                 });
             }
         });
+
+        $stream.once('end', () => this._complete());
+        $stream.once('error', err => this._endSpans(err));
+
         // re-wrap for now to maintain highland utility. Will be removed during rewrite
         return $($stream);
     }
 
+    /**
+     * Converts an error raised while streaming into a StreamError, handling it as a failure of the query the first time
+     * it's raised. The error a result was failed with has already been handled
+     * @param {*} err the error
+     * @return {QueryError}
+     * @private
+     */
+    _streamError (err) {
+        if (err === this.error || err === this._streamErr) return err;
+        if (this._streamErr && err === this._streamErr.cause) return this._streamErr;
+
+        const streamErr = this._streamErr = errors.wrap(err, this.query, 'stream');
+
+        // errors are raised from within stream callbacks, so defer cancelling the query's streams
+        P.resolve().then(() => this.query._handleError(streamErr)).catch(_.noop);
+        return streamErr;
+    }
+
+    /**
+     * Summarizes the execution of the query and the consumption of the result stream. Durations are in milliseconds and
+     * are undefined for phases that haven't completed. A stats event is emitted on the query with the same summary when
+     * the result stream ends. The result is truncated when the handler selected more records than the query's limit, or
+     * once a record beyond the limit has been read from the source.
+     * @return {{durations: {pre: number, handler: number, post: number, stream: number, total: number},
+     * rows: {source: number, emitted: number}, timeToFirstRow: number, truncated: boolean, cancelled: boolean}}
+     */
+    stats () {
+        const query = this.query;
+
+        return {
+            durations: {
+                pre: elapsed(query.preInvokedAt, query.preCompletedAt),
+                handler: elapsed(query.handlerInvokedAt, query.handlerCompletedAt),
+                post: elapsed(query.postInvokedAt, query.postCompletedAt),
+                stream: elapsed(this.streamedAt, this.completedAt),
+                total: elapsed(query.preInvokedAt, this.completedAt)
+            },
+            rows: _.clone(this._rows),
+            timeToFirstRow: elapsed(query.preInvokedAt, this.firstRowAt),
+            truncated: !!this.truncated || (query.limit >= 0 && Number(this.selected) > query.limit),
+            cancelled: !!this.cancelled
+        };
+    }
+
+    /**
+     * Stamps the completion of the result stream and emits the stats event
+     * @private
+     */
+    _complete () {
+        if (this.completedAt) return;
+
+        this.completedAt = new Date();
+        this._endSpans();
+        this._reportProgress(true);
+        this.query.emit('stats', this.stats());
+    }
+
+    /**
+     * Emits a progress event on the query, throttled by the query's progressInterval. The event carries the number of
+     * rows streamed from the source, the selected number of rows and percent complete when the handler supplied a
+     * selected count, and the milliseconds elapsed since the query was executed. Any structured progress reported by
+     * the handler through query.progress() is merged in.
+     * @param {boolean=} force emits regardless of the throttle, e.g. when the stream completes
+     * @private
+     */
+    _reportProgress (force) {
+        const query = this.query;
+        const now = new Date();
+        if (query.progressInterval === false) return;
+        if (!force && now - (this._progressAt || this.streamedAt) < query.progressInterval) return;
+
+        this._progressAt = now;
+
+        const rows = this._rows.source;
+        const selected = this.selected === undefined ? undefined : Number(this.selected);
+        const total = query.limit >= 0 ? Math.min(selected, query.limit) : selected;
+
+        query.emit('progress', _.assign({}, query._progress, {
+            rows: rows,
+            selected: selected,
+            percent: total > 0 ? Math.min(100, Math.round(rows / total * 100)) : undefined,
+            elapsed: now - (query.preInvokedAt || this.streamedAt)
+        }));
+    }
+
+    /**
+     * Ends the stream span along with any through spans left open by cancellation or an error
+     * @param {Error=} err
+     * @private
+     */
+    _endSpans (err) {
+        if (!this._streamSpan) return;
+
+        this._throughSpans.forEach(span => span.end(err));
+        this._streamSpan.setAttributes({
+            'query.rows.source': this._rows.source,
+            'query.rows.emitted': this._rows.emitted
+        });
+        this._streamSpan.end(err);
+        this._streamSpan = null;
+    }
+
     /**
      * Returns a promise that resolves to an array of all data values
      */
@@ -193,6 +585,72 @@ class QueryResult {
         });
     }
 
+    /**
+     * Returns a promise that resolves to the number of records. If the handler replied with a count, that is the
+     * selected number of records within the query's page, unless the handler paged the data itself, and up to its
+     * limit, as the stream would have been, and the stream isn't read. Otherwise the records streamed through the
+     * through handlers are counted as they're read, without being kept
+     * @return {Promise.<number>}
+     */
+    count () {
+        if (this.counted) {
+            const count = this._countSelected();
+            this._abandon();
+            return P.resolve(count);
+        }
+
+        return new P((resolve, reject) => {
+            let count = 0;
+            this.stream()
+                .on('error', err => reject(err))
+                .on('end', () => resolve(count))
+                .on('data', () => count++);
+        });
+    }
+
+    /**
+     * Returns an async iterator over the result stream, pulling records on demand. Ending iteration early (e.g. by
+     * breaking out of a for await loop) cancels the result
+     * @example
+     * for await (const row of qr) console.log(row);
+     * @return {{next: function, return: function}}
+     */
+    [Symbol.asyncIterator] () {
+        return iterate(this.stream(), () => this._abandon());
+    }
+
+    /**
+     * Streams the records in arrays of up to size records. A partial batch is emitted when the stream ends, or after
+     * maxWaitMs have passed since its first record. The stream is also async iterable, and destroying it or ending
+     * iteration early cancels the result
+     * @param {number} size the maximum number of records in a batch, a positive integer
+     * @param {{maxWaitMs: number}=} options
+     * @example
+     * for await (const batch of qr.batches(500)) await index(batch);
+     * @return {Stream}
+     */
+    batches (size, options) {
+        if (!Number.isInteger(size) || size < 1) throw new Error('size must be a positive integer');
+
+        const $batches = this.stream().batchWithTimeOrCount(_.get(options, 'maxWaitMs', -1), size);
+        return cancellable($batches, () => this.completedAt || this._abandon());
+    }
+
+    /**
+     * Cancels a result whose stream won't be read any further
+     * @private
+     */
+    _abandon () {
+        this.cancel();
+
+        // nothing will read the remainder of the stream, so detach, end and drain the passthrough to notify the shim's
+        // end listeners
+        this._passthrough.unpipe();
+        this._passthrough.end();
+        this._passthrough.resume();
+        this._complete();
+    }
+
     /**
      * Cancels the result by ending the stream
      */
@@ -202,6 +660,17 @@ class QueryResult {
         this._source.destroy();
         return this;
     }
+
+    /**
+     * Cancels the result, causing the result stream to emit the supplied error rather than simply ending
+     * @param {Error} err the error
+     * @return {QueryResult}
+     */
+    fail (err) {
+        this.error = err;
+        return this.cancel();
+    }
 }
 
-exports.QueryResult = QueryResult;
\ No newline at end of file
+exports.QueryResult = QueryResult;
+exports.cancellable = cancellable;
\ No newline at end of file
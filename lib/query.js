@@ -6,28 +6,81 @@ const EventEmitter = require('events').EventEmitter;
 const joi = require('joi');
 const Stream = require('stream').Stream;
 const QueryResult = require('./query-result').QueryResult;
+const cancellable = require('./query-result').cancellable;
 const FieldConfigurator = require('./field-configurator').FieldConfigurator;
+const errors = require('./errors');
+const tracing = require('./tracing');
+const scheduling = require('./scheduler');
+const dedupe = require('./dedupe');
+const interceptors = require('./interceptors');
+const plugins = require('./plugins');
+const parameters = require('./params');
+const binding = require('./binding');
+const clauses = require('./clauses');
 
 var $ = require('highland');
 
-const SCHEMA = joi.object({
+const SCHEMA = joi.object(_.assign({
     id: joi.alternatives([joi.string(), joi.number()]).optional(),
     preHandlers: joi.array().items(joi.func()).default([]),
     postHandlers: joi.array().items(joi.func()).default([]),
     throughHandlers: joi.array().items(joi.alternatives([joi.func(), joi.object().type(Stream)])).default([]),
     errorHandlers: joi.array().items(joi.func()).default([]),
-    handler: joi.func().required(),
+    handler: joi.func(),
     payload: joi.any(),
     user: joi.any(),
     fields: joi.object(),
     limit: joi.number().integer().default(-1),
+    page: joi.object({
+        size: joi.number().integer().min(1),
+        offset: joi.number().integer().min(0).default(0),
+        after: joi.any()
+    }),
+    timeout: joi.number().integer().min(0),
+    retry: joi.object({
+        attempts: joi.number().integer().min(1).default(3),
+        backoff: joi.alternatives([joi.number().min(0), joi.func()]).default(0),
+        retryOn: joi.func().default(() => _.constant(true), 'retry all errors')
+    }),
     language: joi.string(),
+    escape: joi.alternatives([joi.string().valid(binding.ESCAPES), joi.func()]),
     options: joi.object().default({}),
     dataTypes: joi.object().default({}),
     params: joi.object().default({}).empty(null),
-    plugins: joi.array().items(joi.func()).default([]),
+    paramSchema: joi.any(),
+    signal: joi.any(),
+    tracer: joi.object(),
+    scheduler: joi.object(),
+    priority: joi.number().default(0),
+    dedupe: joi.boolean().default(false),
+    progressInterval: joi.alternatives([joi.number().integer().min(0), joi.boolean().valid(false)]).default(1000),
+    plugins: joi.array().items(joi.alternatives([joi.func(), joi.object()])).default([]),
     listeners: joi.array().items(joi.array().items(joi.string(), joi.func())).default([])
-});
+}, clauses.SCHEMA));
+
+// state of a single execution, cleared by rerun()
+const EXECUTION_STATE = ['_promise', '_span', '_progress', '_timeoutError', 'result', 'cancelled', 'cancelledAt',
+    'cancelReason', 'preInvokedAt', 'preCompletedAt', 'handlerInvokedAt', 'handlerCompletedAt', 'postInvokedAt',
+    'postCompletedAt'];
+
+/**
+ * Determines whether a value is an AbortSignal
+ * @param {*} value
+ * @return {boolean}
+ */
+function isAbortSignal (value) {
+    return !!value && typeof value.aborted === 'boolean' && _.isFunction(value.addEventListener);
+}
+
+/**
+ * Determines whether a value returned by an error handler is a fallback, which must be marked as such by wrapping it
+ * as { fallback: data | handler | result }. Any other value is ignored
+ * @param {*} value
+ * @return {boolean}
+ */
+function isFallback (value) {
+    return _.isPlainObject(value) && _.has(value, 'fallback');
+}
 
 /**
  * @extends EventEmitter
@@ -38,9 +91,24 @@ class Query extends EventEmitter {
 
         // properties declared here for jsdoc purposes
         this.limit = -1;
+        this.mode = 'execute';
         this.preHandlers = this.postHandlers = this.throughHandlers = this.errorHandlers = [];
         this.options = {};
         this.params = {};
+        this.plugins = {};
+        this._initSignal();
+    }
+
+    /**
+     * Creates the signal that is aborted when the query is cancelled, so handlers may pass query.signal on to
+     * fetch-style drivers
+     * @private
+     */
+    _initSignal () {
+        if (!global.AbortController) return;
+
+        this._abortController = new global.AbortController();
+        this.signal = this._abortController.signal;
     }
 
     /**
@@ -50,15 +118,55 @@ class Query extends EventEmitter {
      */
     configure (defn) {
         joi.validate(defn, SCHEMA, { stripUnknown: true }, (err, validated) => {
-            if (err) throw err;
+            if (err) throw new errors.QueryValidationError(err.message, { query: defn, cause: err });
             defn = validated;
         });
-        _.assign(this, _.omit(defn, 'plugins', 'listeners'));
-        defn.plugins.forEach(p => p(this));
+        _.assign(this, _.omit(defn, 'plugins', 'listeners', 'params', 'signal'));
+        this.params = this._extractSignal(defn.params);
+        if (defn.signal) this.follow(defn.signal);
+        plugins.register(this, defn.plugins);
         defn.listeners.forEach(l => this.on(l[0], l[1]));
         return this;
     }
 
+    /**
+     * Cancels the query when the supplied AbortSignal is aborted, keeping the signal's reason as the cancelReason. The
+     * query stops following the signal once its result stream ends or it fails, so that long-lived signals don't
+     * hold on to finished queries
+     * @param {AbortSignal} signal the abort signal
+     * @return {Query}
+     */
+    follow (signal) {
+        if (signal.aborted) return this.cancel(signal.reason);
+
+        const abort = () => this.cancel(signal.reason);
+        signal.addEventListener('abort', abort, { once: true });
+        this._unfollows = (this._unfollows || []).concat(() => signal.removeEventListener('abort', abort));
+        return this;
+    }
+
+    /**
+     * Stops following the signals passed to follow()
+     * @private
+     */
+    _unfollow () {
+        (this._unfollows || []).forEach(unfollow => unfollow());
+        this._unfollows = [];
+    }
+
+    /**
+     * Follows an AbortSignal passed as the signal param, returning the remaining params
+     * @param {{}} params the params
+     * @return {{}}
+     * @private
+     */
+    _extractSignal (params) {
+        if (!params || !isAbortSignal(params.signal)) return params;
+
+        this.follow(params.signal);
+        return _.omit(params, 'signal');
+    }
+
     option (name, value) {
         this.options = _.set(this.options, [name], value);
         return this;
@@ -67,40 +175,69 @@ class Query extends EventEmitter {
     /**
      * Adds a through stream handler
      * @param through
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
      * @return {Query}
      */
-    through (through) {
-        this.throughHandlers = this.throughHandlers.concat(through);
+    through (through, options) {
+        this.throughHandlers = interceptors.add(this.throughHandlers, through, options);
         return this;
     }
 
     /**
      * Adds a pre handler
      * @param handler
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
      * @return {Query}
      */
-    pre (handler) {
-        this.preHandlers = this.preHandlers.concat(handler);
+    pre (handler, options) {
+        this.preHandlers = interceptors.add(this.preHandlers, handler, options);
         return this;
     }
 
     /**
      * Adds a post handler
      * @param handler
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
      * @return {Query}
      */
-    post (handler) {
-        this.postHandlers = this.postHandlers.concat(handler);
+    post (handler, options) {
+        this.postHandlers = interceptors.add(this.postHandlers, handler, options);
         return this;
     }
 
     /**
-     * Adds an error handler
+     * Adds an error handler, which may return a { fallback } to recover the query
      * @param handler
+     * @param {{name: string, order: number, before: string, after: string}=} options registers the interceptor under a
+     * name and positions it in the chain
      * @return {Query}
      */
-    error (handler) {
-        this.errorHandlers = this.errorHandlers.concat(handler);
+    error (handler, options) {
+        this.errorHandlers = interceptors.add(this.errorHandlers, handler, options);
+        return this;
+    }
+
+    /**
+     * Lists the interceptors of a type in the order they're applied
+     * @param {string} type pre, post, through or error
+     * @return {{name: string, order: number, before: string, after: string, interceptor: function}[]}
+     */
+    interceptors (type) {
+        return interceptors.list(this[interceptors.chain(type)]);
+    }
+
+    /**
+     * Removes a named interceptor
+     * @param {string} type pre, post, through or error
+     * @param {string} name the interceptor name
+     * @return {Query}
+     */
+    removeInterceptor (type, name) {
+        const chain = interceptors.chain(type);
+        this[chain] = interceptors.remove(this[chain], name);
         return this;
     }
 
@@ -114,12 +251,13 @@ class Query extends EventEmitter {
     }
 
     /**
-     * Registers a plugin with the query
-     * @param {function} plugin the plugin registration function
+     * Registers a plugin with the query, unless a plugin of the same name is already registered
+     * @param {Plugin|function} plugin the plugin or plugin registration function
+     * @param {{}=} options the plugin options, validated against the plugin's schema
      * @return {Query}
      */
-    use (plugin) {
-        plugin(this);
+    use (plugin, options) {
+        plugins.register(this, [plugins.prepare(plugin, options)]);
 
         return this;
     }
@@ -176,8 +314,84 @@ class Query extends EventEmitter {
         };
     }
 
+    /**
+     * Invokes the pre handlers in order until one returns or replies with a result, which skips the query's handler
+     * @return {Promise.<QueryResult|undefined>}
+     * @private
+     */
+    _invokePre () {
+        return this.preHandlers.reduce((p, handler) => p.then(result => result || this._invokePreHandler(handler)),
+            P.resolve());
+    }
+
+    /**
+     * Invokes a pre handler with the query and a reply function, resolving to a result if the handler returned a
+     * QueryResult or replied
+     * @param {function(Query, function)} handler the pre handler
+     * @return {Promise.<QueryResult|undefined>}
+     * @private
+     */
+    _invokePreHandler (handler) {
+        let result;
+
+        const reply = _.once((err, data) => {
+            if (err instanceof Error) throw err;
+
+            result = new QueryResult(this, data || err);
+            return result.shim();
+        });
+
+        return P.resolve(handler(this, reply)).then(returned => {
+            result = returned instanceof QueryResult ? this._adopt(returned) : result;
+            if (result) result.source = 'pre';
+            return result;
+        });
+    }
+
+    /**
+     * Adopts a QueryResult returned by a pre or error handler. A result of another query (e.g. a memoized or last known
+     * good result) is wrapped in a new result of this query, leaving the other query's result as is. Its stream has
+     * already been through the other query's clauses, page and through handlers, so only those of this query that
+     * differ are applied to its rows
+     * @param {QueryResult} result the result
+     * @return {QueryResult}
+     * @private
+     */
+    _adopt (result) {
+        if (result.query === this) return result;
+
+        const other = result.query;
+        const applied = _.pluck(interceptors.list(result.throughHandlers), 'interceptor');
+        const adopted = new QueryResult(this, result.stream());
+
+        adopted.handled = clauses.CLAUSES.filter(clause => _.isEqual(this[clause], other[clause]));
+        adopted.paged = _.isEqual(this.page, other.page);
+        adopted.throughHandlers = adopted.throughHandlers
+            .filter(fn => !_.includes(applied, interceptors.list([fn])[0].interceptor));
+        _.assign(adopted.fields, result.fields);
+        return adopted;
+    }
+
     /**
      * Invokes the query's handler function and is responsible for initializing the result.
+     *
+     * Handlers may reply through the reply callback, return a promise or return an async iterable. A promise's
+     * resolved value is treated as the reply data unless the handler has already called reply (e.g. to get at the
+     * field configuration shim) or the promise resolves to undefined, in which case the handler is expected to call
+     * reply itself (e.g. from a driver callback). A rejection is handled like an error passed to reply.
+     *
+     * @example
+     * <pre>
+     *     async function handler(query, reply) {
+     *         const result = await conn.query(query.payload);
+     *         return reply(result.rows).fields(result.columns);
+     *     }
+     *
+     *     async function* handler(query) {
+     *         for await (const row of conn.cursor(query.payload)) yield row;
+     *     }
+     * </pre>
+     *
      * @param {function(Query, function)} handler the handler function
      * @return {Promise.<QueryResult>}
      * @private
@@ -188,10 +402,14 @@ class Query extends EventEmitter {
         // short circuit the handler if already cancelled
         if (this.cancelled) return P.resolve(new QueryResult(this));
 
+        // replies with no data when the query is cancelled, until the handler settles
+        let reply;
+        const cancelled = () => reply();
+
         return new P(function (resolve, reject) {
 
             // the reply function passed to the query handler
-            const reply = _.once(function (err, data) {
+            reply = _.once(function (err, data) {
 
                 // errors thrown in the handler will have same effect
                 if (err && err instanceof Error) return reject(err);
@@ -209,32 +427,239 @@ class Query extends EventEmitter {
                 return qr.shim();
             });
 
-            self.on('cancel', reply);
+            self.on('cancel', cancelled);
 
             // stamp invoked-at
             self.handlerInvokedAt = new Date();
-            handler(self, reply);
-        });
+            const returned = handler(self, reply);
+
+            // promise returning handlers reply with the resolved value, if any. reply() is a no-op if already called
+            if (returned && _.isFunction(returned.then)) {
+                returned.then(data => data !== undefined && reply(null, data), reject);
+            }
+
+            // async iterables are streamed as is. the query itself is iterable, but is commonly returned by chained
+            // calls such as query.on(...)
+            else if (returned && returned !== self && _.isFunction(returned[Symbol.asyncIterator])) {
+                reply(null, returned);
+            }
+        }).finally(() => this.removeListener('cancel', cancelled));
     }
 
     /**
-     * Cancels this query, taps the collection of error
-     * handlers, then emits an 'error' event & re-throws the error to propagate it up
-     * @param err
-     * @return {Promise.}
+     * Invokes the handler, re-invoking it according to the query's retry policy when it fails. A retry event is emitted
+     * with the error and the upcoming attempt number before each re-invocation
+     * @param {function(Query, function)} handler the handler function
+     * @param {number=} attempt the current attempt number
+     * @return {Promise.<QueryResult>}
      * @private
      */
-    _handleError (err) {
-        this.cancel();
-        return this._tapChain(this.errorHandlers)(err)
-            .finally(() => {
-                this.emit('queryError', err);
+    _invokeWithRetry (handler, attempt) {
+        attempt = attempt || 1;
+
+        return this._invokeHandler(handler)
+            .catch(err => {
+                const retry = this.retry;
+                if (!retry || this.cancelled || attempt >= retry.attempts || !retry.retryOn(err, attempt)) throw err;
+
+                const delay = _.isFunction(retry.backoff) ? retry.backoff(attempt, err) : retry.backoff;
+                this.emit('retry', err, attempt + 1);
+                return P.delay(delay).then(() => this._invokeWithRetry(handler, attempt + 1));
+            });
+    }
+
+    /**
+     * Binds the query's params into its payload as its boundPayload and invokes the query's handler. With deduplication
+     * enabled, the query instead subscribes to an in-flight invocation of the same handler for an identical query, if
+     * there is one
+     * @return {Promise.<QueryResult>}
+     * @private
+     */
+    _invoke () {
+        this.boundPayload = binding.bind(this);
+        if (this.dedupe) return dedupe.subscribe(this);
+
+        return this._schedule(() => this._traced('query.handler', () => this._invokeWithRetry(this.handler)));
+    }
+
+    /**
+     * Waits for the query's scheduler, if any, to grant a slot before invoking a function, releasing the slot once the
+     * returned promise settles
+     * @param {function} fn the function to invoke
+     * @return {Promise}
+     * @private
+     */
+    _schedule (fn) {
+        const scheduler = scheduling.resolveScheduler(this.scheduler);
+        if (!scheduler) return P.try(fn);
+
+        return scheduler.acquire(this).then(release => P.try(fn).finally(release));
+    }
+
+    /**
+     * Starts a tracing span carrying the query's id, language and user. Spans are parented by the execute span unless
+     * a parent is supplied
+     * @param {string} name the span name
+     * @param {{}=} attributes additional span attributes
+     * @param {Span=} parent the parent span
+     * @return {Span}
+     * @private
+     */
+    _startSpan (name, attributes, parent) {
+        const defaults = { 'query.id': this.id, 'query.language': this.language, 'query.user': this.user };
+        return tracing.resolveTracer(this.tracer).startSpan(name, _.assign(defaults, attributes), parent || this._span);
+    }
+
+    /**
+     * Invokes a function within a tracing span, ending the span once the returned promise settles
+     * @param {string} name the span name
+     * @param {function} fn the function to invoke
+     * @return {Promise}
+     * @private
+     */
+    _traced (name, fn) {
+        const span = this._startSpan(name);
+
+        return P.try(fn).then(
+            value => {
+                span.end();
+                return value;
+            },
+            err => {
+                span.end(err);
                 throw err;
             });
     }
 
+    /**
+     * Determines the phase of execution the query is in from its timestamps
+     * @return {string} pre, handler, post or stream
+     * @private
+     */
+    _phase () {
+        if (!this.preCompletedAt) return 'pre';
+        if (!this.postInvokedAt) return 'handler';
+        if (!this.postCompletedAt) return 'post';
+        return 'stream';
+    }
+
+    /**
+     * Converts the error to a QueryError, cancels this query, taps the collection of error
+     * handlers, then emits an 'error' event & re-throws the error to propagate it up.
+     *
+     * Until the query has resolved with a result, an error handler may instead recover the query by returning a
+     * { fallback } of result data, a QueryResult or a handler function to invoke in place of the query's handler. The
+     * remaining error handlers are skipped and the fallback result is resolved with the error as its recoveredFrom,
+     * emitting a queryRecovered event rather than a queryError event. A failed fallback handler is ignored.
+     *
+     * @param err
+     * @param {boolean=} recoverable whether error handlers may recover the query
+     * @return {Promise.<QueryResult>}
+     * @private
+     */
+    _handleError (err, recoverable) {
+        err = errors.wrap(err, this, this._phase());
+        this.cancel(err);
+
+        return this.errorHandlers
+            .reduce((p, handler) => p.then(result => result || this._invokeErrorHandler(handler, err, recoverable)),
+                P.resolve())
+            .catch(_.noop)
+            .then(result => {
+                if (!result) {
+                    this._unfollow();
+                    this.emit('queryError', err);
+                    throw err;
+                }
+
+                result.recoveredFrom = err;
+                this._setResult(result);
+                this.emit('queryRecovered', err, result);
+                return result;
+            });
+    }
+
+    /**
+     * Invokes an error handler with the error and the query, resolving to the result of any { fallback } it returned
+     * @param {function(Error, Query)} handler the error handler
+     * @param {QueryError} err the error
+     * @param {boolean} recoverable whether the handler may recover the query
+     * @return {Promise.<QueryResult|undefined>}
+     * @private
+     */
+    _invokeErrorHandler (handler, err, recoverable) {
+        return P.resolve(handler(err, this)).then(returned => {
+            if (!recoverable || !isFallback(returned)) return;
+            const fallback = returned.fallback;
+
+            // the failed execution was cancelled, but the query lives on through the fallback
+            ['cancelled', 'cancelledAt', 'cancelReason'].forEach(prop => delete this[prop]);
+            this._initSignal();
+
+            if (fallback instanceof QueryResult) return this._adopt(fallback);
+            if (typeof fallback !== 'function') return new QueryResult(this, fallback);
+
+            return this._invokeHandler(fallback).catch(() => {
+                this.cancel(err);
+            });
+        });
+    }
+
     _setResult (result) {
         this.result = result;
+
+        // the projection selects the result's fields
+        if (this.select) result.fields = _.pick(result.fields, this.select);
+
+        // a fully consumed result can no longer time out or be aborted
+        result.shim().on('end', () => {
+            if (this.result !== result) return;
+            this._clearDeadline();
+            this._unfollow();
+        });
+    }
+
+    /**
+     * Races the execution chain against the query's timeout, if one is configured. If the timeout elapses before the
+     * handler replies the chain is rejected, otherwise the result stream is failed.
+     * @param {Promise} promise the execution chain
+     * @return {Promise}
+     * @private
+     */
+    _deadline (promise) {
+        if (!this.timeout) return promise;
+
+        return new P((resolve, reject) => {
+            this._timer = setTimeout(() => {
+                const err = new errors.QueryTimeoutError(this.timeout, { query: this, phase: this._phase() });
+
+                // explaining produces no result to fail, so the handler is cancelled
+                if (this.mode === 'explain') {
+                    this.cancel(err);
+                    return reject(err);
+                }
+
+                // the handler never replied
+                if (!this.result) {
+                    this._timeoutError = err;
+                    return reject(err);
+                }
+
+                // the handler replied but the result stream hasn't finished
+                this.result.fail(err);
+                this._handleError(err).catch(_.noop);
+            }, this.timeout);
+
+            promise.then(resolve, reject);
+        });
+    }
+
+    /**
+     * Clears a pending timeout
+     * @private
+     */
+    _clearDeadline () {
+        clearTimeout(this._timer);
     }
 
     param (name, value) {
@@ -243,31 +668,78 @@ class Query extends EventEmitter {
     }
 
     /**
-     * Runs the query with the supplied parameters, returning a promise to a QueryResult.
+     * Describes the params declared by the query's params schema
+     * @return {Object.<string, ParamDescriptor>}
+     */
+    describeParams () {
+        return parameters.describe(this.paramSchema);
+    }
+
+    /**
+     * Runs the query with the supplied parameters, returning a promise to a QueryResult. The parameters are validated
+     * against the query's params schema, if declared, before the pre handlers run.
      * An Error while invoking the handler causing a rejection will cause the collection of
      * error handlers to be tapped before the error is re-thrown.
-     * @param {*} params runtime query params
+     * @param {*} params runtime query params. An AbortSignal passed as the signal param cancels the query when aborted
      * @return {Promise.<QueryResult>}
      */
     execute (params) {
-        this.params = _.assign({}, this.params, params);
+        this.params = _.assign({}, this.params, this._extractSignal(params));
 
         if (this._promise) return this._promise;
 
-        if (!this.handler) return P.reject('No handler defined');
+        if (!this.handler) {
+            return this._handleError(new errors.QueryValidationError('No handler defined', { query: this }));
+        }
+
+        const span = this._span = this._startSpan('query.execute');
 
-        return this._promise = P.bind(this)
+        // an execution superseded by rerun() leaves the query's state to the new execution
+        const execution = this._execution = {};
+        const superseded = () => this._execution !== execution &&
+            P.reject(new errors.QueryCancelledError('Query was rerun', { query: this, reason: 'rerun' }));
+
+        const run = P.bind(this)
             .tap(() => this.emit('execute'))
+            .tap(() => this.params = parameters.validate(this.paramSchema, this.params, this))
             .tap(() => this.preInvokedAt = new Date())
-            .tap(() => this._tapChain(this.preHandlers)(this))
+            .then(() => this._traced('query.pre', () => this._invokePre()))
+            .tap(superseded)
             .tap(() => this.preCompletedAt = new Date())
-            .then(() => this._invokeHandler(this.handler))
+            .then(result => result || this._invoke())
+            .tap(superseded)
+            // a reply after the timeout elapsed is ignored, as the query has already failed or been recovered
+            .tap(() => this._timeoutError && P.reject(this._timeoutError))
             .tap(r => this._setResult(r))
             .tap(() => this.postInvokedAt = new Date())
-            .tap(r => this._tapChain(this.postHandlers)(r))
-            .tap(() => this.postCompletedAt = new Date())
-            .catch(err => this._handleError(err))
-            .tap(r => this.emit('result', r));
+            .tap(r => this._traced('query.post', () => this._tapChain(this.postHandlers)(r)))
+            .tap(() => this.postCompletedAt = new Date());
+
+        return this._promise = this._deadline(run)
+            .catch(err => this._execution === execution ? this._handleError(err, true) : P.reject(err))
+            .tap(r => this.emit('result', r))
+            .tap(() => span.end())
+            .catch(err => {
+                span.end(err);
+                throw err;
+            });
+    }
+
+    /**
+     * Runs the query again with the supplied parameters, merged over the current parameters. The previous execution's
+     * state is discarded, producing new timestamps and a new QueryResult. A previous execution still in flight is
+     * cancelled and rejects with a QueryCancelledError, rather than replacing the new execution's result
+     * @param {*} params runtime query params
+     * @return {Promise.<QueryResult>}
+     */
+    rerun (params) {
+        if (this._promise && this._promise.isPending()) this.cancel();
+
+        this._clearDeadline();
+        EXECUTION_STATE.forEach(prop => delete this[prop]);
+        this._initSignal();
+
+        return this.execute(params);
     }
 
     /**
@@ -291,21 +763,37 @@ class Query extends EventEmitter {
      *              });
      *     }
      * </pre>
+     *
+     * @param {*=} reason an optional reason, kept as the query's cancelReason and used to abort query.signal. The
+     * signal is otherwise aborted with a QueryCancelledError
      */
-    cancel () {
+    cancel (reason) {
+        this._clearDeadline();
+
+        if (!this.cancelled) {
+            this.cancelReason = reason;
+
+            // signal listeners (e.g. fetch) reject with the abort reason, so default it to a QueryCancelledError
+            const abortReason = reason !== undefined ? reason :
+                new errors.QueryCancelledError(null, { query: this, phase: this._phase() });
+            if (this._abortController) this._abortController.abort(abortReason);
+        }
+
         this.cancelled = true;
         this.cancelledAt = new Date();
-        this.emit('cancel');
+        this.emit('cancel', reason);
         if (this.result) this.result.cancel();
         return this;
     }
 
     /**
-     * Emits a progress event
+     * Emits a progress event. Progress reported as an object, e.g. { stage: 'fetching' }, is also merged into the
+     * progress events emitted automatically while the result is streamed
      * @param progress
      * @return {boolean|*}
      */
     progress (progress) {
+        if (_.isPlainObject(progress)) this._progress = _.assign({}, this._progress, progress);
         return this.emit('progress', progress);
     }
 
@@ -324,6 +812,150 @@ class Query extends EventEmitter {
     toArray () {
         return this.execute().then(r => r.toArray());
     }
+
+    /**
+     * Executes the query, synchronously returning a stream of arrays of up to size records. Destroying the stream or
+     * ending iteration early cancels the query
+     * @param {number} size the maximum number of records in a batch, a positive integer
+     * @param {{maxWaitMs: number}=} options emits a partial batch once maxWaitMs have passed since its first record
+     * @return {Stream}
+     */
+    batches (size, options) {
+        if (!Number.isInteger(size) || size < 1) throw new Error('size must be a positive integer');
+
+        const $batches = $.sequence(this.execute().then(r => r.batches(size, options)));
+        return cancellable($batches, () => this.cancel());
+    }
+
+    /**
+     * Executes the query with its mode set to 'count', resolving to the number of records. A handler that checks the
+     * mode may run a cheaper count of its data and reply with the count rather than records, otherwise the records
+     * streamed through the through handlers are counted. The mode is restored once counted. A query that has already
+     * been executed rejects, as its result may have been consumed, and must be rerun in count mode instead
+     * @example
+     * <pre>
+     *     function handler(query, reply) {
+     *         if (query.mode === 'count') return conn.count(query.boundPayload).then(n => reply().count(n));
+     *         ...
+     *     }
+     * </pre>
+     * @param {*=} params runtime query params
+     * @return {Promise.<number>}
+     */
+    count (params) {
+        if (this._promise) return P.reject(new Error('Cannot count a query that has already been executed'));
+
+        this.mode = 'count';
+        return this.execute(params)
+            .then(r => r.count())
+            .finally(() => this.mode = 'execute');
+    }
+
+    /**
+     * Explains the query without executing it. The params are validated and the pre handlers run as they would be for
+     * execution, and the params are bound into the payload. Then, if the handler declares support for explain by its
+     * supportsExplain property, it is invoked with the query's mode set to 'explain' and replies with its plan instead
+     * of rows. Other handlers aren't invoked, and the report's plan is null and explained false. Neither is the handler
+     * invoked if a pre handler replies, in which case the report's source is 'pre'. The handler waits for the query's
+     * scheduler, if any. Exceeding the query's timeout cancels the query and rejects with a QueryTimeoutError, and
+     * cancelling the query while explaining rejects with a QueryCancelledError
+     * @example
+     * <pre>
+     *     function handler(query, reply) {
+     *         if (query.mode === 'explain') return reply(conn.explain(query.boundPayload));
+     *         ...
+     *     }
+     *     handler.supportsExplain = true;
+     * </pre>
+     * @param {*=} params runtime query params
+     * @return {Promise.<{payload: *, boundPayload: *, params: {}, limit: number, fields: {}, through: {}[],
+     * source: string, explained: boolean, plan: *}>}
+     */
+    explain (params) {
+        this.params = _.assign({}, this.params, this._extractSignal(params));
+        this.mode = 'explain';
+
+        let phase = 'pre';
+
+        return P.bind(this)
+            .then(() => this.params = parameters.validate(this.paramSchema, this.params, this))
+            .then(() => this._invokePre())
+            .then(result => {
+                phase = 'handler';
+                this.boundPayload = binding.bind(this);
+
+                if (result) {
+                    result.cancel();
+                    return { source: 'pre', explained: false, plan: null };
+                }
+
+                if (!this.handler || this.handler.supportsExplain !== true) {
+                    return { source: 'handler', explained: false, plan: null };
+                }
+
+                return this._deadline(this._schedule(() => this._invokeExplain()))
+                    .then(plan => ({ source: 'handler', explained: true, plan: plan }));
+            })
+            .then(outcome => _.assign({
+                payload: this.payload,
+                boundPayload: this.boundPayload,
+                params: this.params,
+                limit: this.limit,
+                fields: this.fields,
+                through: interceptors.list(this.throughHandlers)
+                    .map(r => _.omit(_.assign({ name: r.interceptor.name || null }, r), 'interceptor'))
+            }, outcome))
+            .catch(err => {
+                throw errors.wrap(err, this, phase);
+            })
+            .finally(() => {
+                this._clearDeadline();
+                this.mode = 'execute';
+            });
+    }
+
+    /**
+     * Invokes the handler in explain mode, resolving to the plan it replies with. Cancelling the query rejects with a
+     * QueryCancelledError
+     * @return {Promise}
+     * @private
+     */
+    _invokeExplain () {
+        // rejects when the query is cancelled, until the handler settles
+        let reply;
+        const cancelled = () => reply(new errors.QueryCancelledError(null, { query: this, phase: 'handler' }));
+
+        return new P((resolve, reject) => {
+            reply = _.once((err, plan) => err instanceof Error ? reject(err) : resolve(plan || err));
+
+            this.on('cancel', cancelled);
+            const returned = this.handler(this, reply);
+
+            // promise returning handlers reply with the resolved plan, if any. reply() is a no-op if already called
+            if (returned && _.isFunction(returned.then)) {
+                returned.then(plan => plan !== undefined && reply(null, plan), reject);
+            }
+        }).finally(() => this.removeListener('cancel', cancelled));
+    }
+
+    /**
+     * Executes the query on the first iteration, returning an async iterator over the result stream
+     * @example
+     * for await (const row of query) console.log(row);
+     * @return {{next: function, return: function}}
+     */
+    [Symbol.asyncIterator] () {
+        let iterator;
+        const resolveIterator = () => iterator || (iterator = this.execute().then(r => r[Symbol.asyncIterator]()));
+
+        return {
+            next: () => resolveIterator().then(it => it.next()),
+            return: value => resolveIterator().then(it => it.return(value)),
+            [Symbol.asyncIterator] () {
+                return this;
+            }
+        };
+    }
 }
 
 
@@ -74,7 +74,9 @@ function cachedHandler (handler, options) {
                 if (cancelled) return resolve();
 
                 // put serializer at the front of the line
-                result.throughHandlers.unshift(s => s.pipe(new RedisWriteStream(client, key)));
+                result
+                    .removeInterceptor('through', 'query-cache')
+                    .through(s => s.pipe(new RedisWriteStream(client, key)), { name: 'query-cache', order: -Infinity });
                 const cmd = client.multi()
                     .del(key)
                     .hset(key, 'selected', parseInt(result.selected))
@@ -93,7 +95,9 @@ function cachedHandler (handler, options) {
 
         const invokeHandler = function () {
             // attach result listener to cache pristine metadata and attach
-            query.postHandlers.unshift(cacheResult);
+            query
+                .removeInterceptor('post', 'query-cache')
+                .post(cacheResult, { name: 'query-cache', order: -Infinity });
             handler(query, reply);
         };
 
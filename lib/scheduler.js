@@ -0,0 +1,159 @@
+'use strict';
+
+const _ = require('lodash');
+const P = require('bluebird');
+const joi = require('joi');
+
+const SCHEMA = joi.object({
+    concurrency: joi.number().integer().min(1).allow(Infinity).default(Infinity),
+    perUser: joi.number().integer().min(1).allow(Infinity).default(Infinity),
+    userKey: joi.func().default(() => query => query.user, 'query user')
+});
+
+let globalScheduler;
+
+/**
+ * Limits the number of query handlers running at once, both globally and per user. Queries that can't run yet wait in
+ * a queue ordered by priority (highest first) and then by arrival. A queued event is emitted on a waiting query with
+ * its 1-based queue position whenever that position changes.
+ *
+ * A slot is held from the time the handler is invoked until it replies or fails.
+ *
+ * @example
+ * newQuery.scheduler({ concurrency: 20, perUser: 4 });
+ */
+class Scheduler {
+    /**
+     * @param {{concurrency: number, perUser: number, userKey: function(Query)}=} options the global and per user
+     * limits, and a function resolving the user key of a query, which defaults to query.user
+     */
+    constructor (options) {
+        options = joi.attempt(options || {}, SCHEMA);
+        this.concurrency = options.concurrency;
+        this.perUser = options.perUser;
+        this.userKey = options.userKey;
+        this.running = 0;
+        this._users = new Map();
+        this._queue = [];
+    }
+
+    /**
+     * The number of queries waiting for a slot
+     * @return {number}
+     */
+    get queued () {
+        return this._queue.length;
+    }
+
+    /**
+     * Acquires a slot for a query, resolving to a function that releases the slot once a slot is available. A query
+     * cancelled while queued is removed from the queue and resolves immediately.
+     * @param {Query} query the query
+     * @return {Promise.<function>}
+     */
+    acquire (query) {
+        return new P(resolve => {
+            const entry = {
+                query: query,
+                user: this.userKey(query),
+                priority: query.priority || 0,
+                resolve: resolve
+            };
+
+            if (this._available(entry.user)) return this._start(entry);
+
+            entry.onCancel = () => {
+                _.pull(this._queue, entry);
+                resolve(_.noop);
+                this._notify();
+            };
+            query.once('cancel', entry.onCancel);
+
+            // queue behind all entries of the same or higher priority
+            const index = _.findIndex(this._queue, e => e.priority < entry.priority);
+            this._queue.splice(index < 0 ? this._queue.length : index, 0, entry);
+            this._notify();
+        });
+    }
+
+    /**
+     * Determines whether a user can start a query
+     * @param {*} user the user key
+     * @return {boolean}
+     * @private
+     */
+    _available (user) {
+        return this.running < this.concurrency && (this._users.get(user) || 0) < this.perUser;
+    }
+
+    /**
+     * Occupies a slot for a queue entry and resolves its acquisition
+     * @param entry
+     * @private
+     */
+    _start (entry) {
+        if (entry.onCancel) entry.query.removeListener('cancel', entry.onCancel);
+
+        this.running++;
+        this._users.set(entry.user, (this._users.get(entry.user) || 0) + 1);
+
+        entry.resolve(_.once(() => {
+            this.running--;
+            const count = this._users.get(entry.user) - 1;
+            if (count) this._users.set(entry.user, count);
+            else this._users.delete(entry.user);
+            this._drain();
+        }));
+    }
+
+    /**
+     * Starts as many queued queries as the limits allow, skipping users at their limit
+     * @private
+     */
+    _drain () {
+        for (let i = 0; i < this._queue.length && this.running < this.concurrency;) {
+            const entry = this._queue[i];
+            if (!this._available(entry.user)) {
+                i++;
+                continue;
+            }
+
+            this._queue.splice(i, 1);
+            this._start(entry);
+        }
+
+        this._notify();
+    }
+
+    /**
+     * Emits a queued event on each waiting query whose position has changed
+     * @private
+     */
+    _notify () {
+        this._queue.forEach((entry, i) => {
+            if (entry.position === i + 1) return;
+
+            entry.position = i + 1;
+            entry.query.emit('queued', entry.position);
+        });
+    }
+}
+
+/**
+ * Sets the scheduler used by queries that don't configure their own
+ * @param {Scheduler|{}} scheduler a scheduler or scheduler options
+ */
+exports.setScheduler = function (scheduler) {
+    globalScheduler = !scheduler || scheduler instanceof Scheduler ? scheduler : new Scheduler(scheduler);
+};
+
+/**
+ * Resolves the scheduler to use for a query
+ * @param {Scheduler=} scheduler the query's own scheduler
+ * @return {Scheduler|undefined}
+ */
+exports.resolveScheduler = function (scheduler) {
+    return scheduler || globalScheduler;
+};
+
+exports.Scheduler = Scheduler;
\ No newline at end of file
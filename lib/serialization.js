@@ -0,0 +1,121 @@
+'use strict';
+
+const _ = require('lodash');
+const errors = require('./errors');
+const handlers = require('./handlers');
+const interceptors = require('./interceptors');
+const parameters = require('./params');
+
+// the version of serialized definitions
+const VERSION = 1;
+
+// definition properties serialized as is
+const PROPERTIES = ['id', 'payload', 'language', 'escape', 'user', 'limit', 'page', 'where', 'orderBy', 'select',
+    'timeout', 'retry', 'priority', 'dedupe', 'progressInterval', 'fields', 'options', 'dataTypes'];
+
+/**
+ * Determines whether a value is or contains a function
+ * @param {*} value
+ * @return {boolean}
+ */
+function hasFunction (value) {
+    if (typeof value === 'function') return true;
+    return (_.isArray(value) || _.isPlainObject(value)) && _.some(value, hasFunction);
+}
+
+/**
+ * Names a handler or plugin registration function by its function name
+ * @param {function} fn the function
+ * @param {string} kind describes the function
+ * @return {string}
+ */
+function nameOf (fn, kind) {
+    if (!fn.name) throw new Error(`Cannot serialize an anonymous ${kind}`);
+    return fn.name;
+}
+
+/**
+ * Looks up a reference in a registry
+ * @param {{}} registry the registry
+ * @param {string} kind describes the reference
+ * @param {string} name the name
+ * @return {*}
+ */
+function lookup (registry, kind, name) {
+    if (!_.has(registry, name)) throw new errors.QueryValidationError(`Unknown ${kind} ${name}`);
+    return registry[name];
+}
+
+/**
+ * Serializes a query definition as a versioned, JSON-safe definition. The handler, plugins and interceptors are
+ * referenced by name, or a handler registered for a language by its language. Params are serialized as param
+ * descriptors. Listeners, signals, tracers and schedulers are not serialized
+ * @param {{}} defn the definition
+ * @return {{}}
+ */
+exports.toJSON = function (defn) {
+    const json = _.assign({ version: VERSION }, _.omit(_.pick(defn, PROPERTIES), _.isUndefined));
+
+    _.forEach(json, (value, key) => {
+        if (hasFunction(value)) throw new Error(`Cannot serialize the ${key} of a query, as it contains a function`);
+    });
+
+    if (defn.handler) json.handler = handlers.languageOf(defn.handler) || nameOf(defn.handler, 'handler');
+    if (defn.paramSchema) json.params = parameters.serialize(defn.paramSchema);
+
+    json.plugins = defn.plugins.map(entry => typeof entry === 'function' ?
+        { name: nameOf(entry, 'plugin') } :
+        _.omit({ name: entry.plugin.name, options: entry.options }, _.isUndefined));
+
+    json.interceptors = {};
+    ['pre', 'post', 'through', 'error'].forEach(type => {
+        const list = interceptors.list(defn[interceptors.chain(type)]);
+        if (!list.length) return;
+
+        json.interceptors[type] = list.map(r => {
+            if (!r.name) throw new Error(`Cannot serialize an unnamed ${type} interceptor`);
+
+            // JSON has no infinite numbers, so an order of ±Infinity is carried as a string
+            if (Math.abs(r.order) === Infinity) r.order = String(r.order);
+            return _.omit(r, 'interceptor');
+        });
+    });
+
+    return json;
+};
+
+/**
+ * Configures a builder from a serialized definition, resolving its references by name. A handler reference resolves
+ * to the registry's handler of that name or else to the handler registered for a language of that name
+ * @param {QueryBuilder} builder the builder
+ * @param {{}} json the serialized definition
+ * @param {{handlers: {}, plugins: {}, interceptors: {}}=} registry the handlers, plugins and interceptors, by name
+ * @return {QueryBuilder}
+ */
+exports.fromJSON = function (builder, json, registry) {
+    registry = _.defaults({}, registry, { handlers: {}, plugins: {}, interceptors: {} });
+
+    if (json.version !== VERSION) {
+        throw new errors.QueryValidationError(`Unsupported query definition version ${json.version}`);
+    }
+
+    builder.configure(_.cloneDeep(_.pick(json, PROPERTIES)));
+
+    if (json.params) builder.params(json.params);
+
+    if (json.handler) {
+        builder.handler(_.has(registry.handlers, json.handler) || !_.includes(handlers.languages(), json.handler) ?
+            lookup(registry.handlers, 'handler', json.handler) :
+            handlers.resolve({ language: json.handler }).handler);
+    }
+
+    (json.plugins || []).forEach(p => builder.use(lookup(registry.plugins, 'plugin', p.name), p.options));
+
+    _.forEach(json.interceptors, (list, type) => {
+        interceptors.chain(type);
+        list.forEach(r => builder[type](lookup(registry.interceptors, 'interceptor', r.name),
+            _.isString(r.order) ? _.assign({}, r, { order: Number(r.order) }) : r));
+    });
+
+    return builder;
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * A tracer opens spans around each phase of a query's execution. Implementations adapt the interface to a tracing
+ * library such as OpenTelemetry.
+ * @typedef {{startSpan: function(string, {}, Span=): Span}} Tracer
+ */
+
+/**
+ * A span returned by a tracer
+ * @typedef {{setAttributes: function({}), end: function(Error=)}} Span
+ */
+
+const NOOP_SPAN = {
+    setAttributes: _.noop,
+    end: _.noop
+};
+
+const NOOP_TRACER = {
+    startSpan: _.constant(NOOP_SPAN)
+};
+
+let globalTracer;
+
+/**
+ * A span recorded by the memory tracer
+ */
+class MemorySpan {
+    /**
+     * @param {string} name the span name
+     * @param {{}} attributes the initial span attributes
+     * @param {MemorySpan=} parent the parent span
+     */
+    constructor (name, attributes, parent) {
+        this.name = name;
+        this.attributes = _.assign({}, attributes);
+        this.parent = parent;
+        this.startedAt = new Date();
+    }
+
+    /**
+     * Merges attributes into the span
+     * @param {{}} attributes
+     * @return {MemorySpan}
+     */
+    setAttributes (attributes) {
+        _.assign(this.attributes, attributes);
+        return this;
+    }
+
+    /**
+     * Ends the span, recording an optional error
+     * @param {Error=} err
+     */
+    end (err) {
+        if (this.endedAt) return;
+
+        this.endedAt = new Date();
+        this.duration = this.endedAt - this.startedAt;
+        if (err) this.error = err;
+    }
+}
+
+/**
+ * A tracer that records spans in memory, intended for tests
+ * @example
+ * const tracer = new MemoryTracer();
+ * await query('select * from accounts').handler(handler).tracer(tracer).toArray();
+ * tracer.find('query.handler')[0].duration;
+ */
+class MemoryTracer {
+    constructor () {
+        this.spans = [];
+    }
+
+    /**
+     * Starts and records a new span
+     * @param {string} name the span name
+     * @param {{}} attributes the span attributes
+     * @param {MemorySpan=} parent the parent span
+     * @return {MemorySpan}
+     */
+    startSpan (name, attributes, parent) {
+        const span = new MemorySpan(name, attributes, parent);
+        this.spans.push(span);
+        return span;
+    }
+
+    /**
+     * Finds recorded spans by name
+     * @param {string} name the span name
+     * @return {MemorySpan[]}
+     */
+    find (name) {
+        return this.spans.filter(s => s.name === name);
+    }
+
+    /**
+     * Discards all recorded spans
+     * @return {MemoryTracer}
+     */
+    reset () {
+        this.spans = [];
+        return this;
+    }
+}
+
+/**
+ * Sets the tracer used by queries that don't configure their own
+ * @param {Tracer} tracer the tracer
+ */
+exports.setTracer = function (tracer) {
+    globalTracer = tracer;
+};
+
+/**
+ * Resolves the tracer to use for a query
+ * @param {Tracer=} tracer the query's own tracer
+ * @return {Tracer}
+ */
+exports.resolveTracer = function (tracer) {
+    return tracer || globalTracer || NOOP_TRACER;
+};
+
+/**
+ * Determines whether spans will be recorded for a query
+ * @param {Tracer=} tracer the query's own tracer
+ * @return {boolean}
+ */
+exports.isTracing = function (tracer) {
+    return exports.resolveTracer(tracer) !== NOOP_TRACER;
+};
+
+exports.MemorySpan = MemorySpan;
+exports.MemoryTracer = MemoryTracer;
\ No newline at end of file
@@ -0,0 +1,68 @@
+'use strict';
+
+const query = require('../lib');
+const chai = require('chai');
+
+chai.should();
+chai.use(require('chai-as-promised'));
+
+describe('binding', function () {
+    // executes a query, resolving to its bound payload
+    const bound = (builder, params) => builder
+        .handler((q, reply) => reply([q.boundPayload]))
+        .toArray(params)
+        .then(data => data[0]);
+
+    it('should bind SQL literals for sql queries', function () {
+        const sql = 'select * from people where last = :last and age > {{age}} and id in (:ids) and active = :active';
+
+        return bound(query(sql).language('sql'), { last: 'O\'Leupen', age: 30, ids: [1, 2], active: true })
+            .should.eventually.equal('select * from people where last = \'O\'\'Leupen\' and age > 30 ' +
+                'and id in (1, 2) and active = TRUE');
+    });
+
+    it('should escape placeholders by their named strategy', function () {
+        return bound(query('select * from people order by {{column|identifier}}').language('sql'), { column: 'p.last' })
+            .should.eventually.equal('select * from people order by "p"."last"');
+    });
+
+    it('should bind the string leaves of object payloads as json for mongo queries', function () {
+        const payload = { find: 'people', filter: { $where: 'this.last == {{last}}' }, limit: 10 };
+
+        return bound(query(payload).language('mongo'), { last: 'Leupen' })
+            .should.eventually.deep.equal({ find: 'people', filter: { $where: 'this.last == "Leupen"' }, limit: 10 });
+    });
+
+    it('should bind the param value itself to a leaf of an object payload that is a single placeholder', function () {
+        const payload = { query: { term: { user: ':user' } }, ids: ['{{ids}}', '{{ids|json}}'], size: '{{size}}' };
+
+        return bound(query(payload).language('elasticsearch'), { user: 'kimchy', ids: [1, 2], size: 10 })
+            .should.eventually.deep.equal({ query: { term: { user: 'kimchy' } }, ids: [[1, 2], '[1,2]'], size: 10 });
+    });
+
+    it('should bind raw values by default', function () {
+        return bound(query('/people/:id'), { id: 7 }).should.eventually.equal('/people/7');
+    });
+
+    it('should leave casts and placeholders without a param in place', async function () {
+        const q = query('select :id::text, :other').language('sql').handler((q, reply) => reply([]));
+        const result = await q.execute({ id: 'a' });
+
+        result.query.boundPayload.should.equal('select \'a\'::text, :other');
+        result.query.payload.should.equal('select :id::text, :other');
+    });
+
+    it('should not bind placeholders within bound values', function () {
+        return bound(query(':a {{b}}').escape('raw'), { a: '{{b}}', b: ':a' }).should.eventually.equal('{{b}} :a');
+    });
+
+    it('should accept an escape function', function () {
+        return bound(query('hello :name').escape(v => v.toUpperCase()), { name: 'brad' })
+            .should.eventually.equal('hello BRAD');
+    });
+
+    it('should reject an unknown escape strategy', function () {
+        return bound(query('{{name|shout}}'), { name: 'brad' })
+            .should.be.rejectedWith(query.QueryValidationError, 'Unknown escape strategy shout');
+    });
+});
\ No newline at end of file
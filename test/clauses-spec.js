@@ -0,0 +1,110 @@
+'use strict';
+
+const _ = require('lodash');
+const query = require('../lib');
+const chai = require('chai');
+const sinon = require('sinon');
+const people = [
+    { first: 'Brad', last: 'Leupen', age: 40 },
+    { first: 'Hank', last: 'Leupen', age: 10 },
+    { first: 'Jane', last: 'Doe', age: 30 },
+    { first: 'John', last: 'Doe', age: 50 }
+];
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('clauses', function () {
+    const builder = handler => query()
+        .handler(handler || ((q, reply) => reply(people)))
+        .field('first', f => f.label('First'))
+        .field('age', f => f.label('Age'));
+
+    it('should convey structured clauses to the handler', async function () {
+        const handler = sinon.spy((q, reply) => reply([]));
+
+        await builder(handler)
+            .where({ last: 'Leupen', age: { gte: 18, lt: 65 } })
+            .where({ first: { nin: ['Hank'] } })
+            .orderBy('age', 'desc')
+            .orderBy('first')
+            .select(['first', 'age'])
+            .execute();
+
+        _.pick(handler.firstCall.args[0], 'where', 'orderBy', 'select').should.deep.equal({
+            where: [
+                { field: 'last', op: 'eq', value: 'Leupen' },
+                { field: 'age', op: 'gte', value: 18 },
+                { field: 'age', op: 'lt', value: 65 },
+                { field: 'first', op: 'nin', value: ['Hank'] }
+            ],
+            orderBy: [{ field: 'age', direction: 'desc' }, { field: 'first', direction: 'asc' }],
+            select: ['first', 'age']
+        });
+    });
+
+    it('should apply clauses the handler didn\'t handle in the stream', function () {
+        return builder()
+            .where({ age: { gt: 20 } })
+            .orderBy('last')
+            .orderBy('age', 'desc')
+            .select('first')
+            .toArray()
+            .should.eventually.deep.equal([{ first: 'John' }, { first: 'Jane' }, { first: 'Brad' }]);
+    });
+
+    it('should not apply clauses the handler handled', function () {
+        return builder((q, reply) => reply(people.slice(0, 2)).handled('where', 'orderBy'))
+            .where({ age: { gt: 20 } })
+            .orderBy('age')
+            .select(['first'])
+            .toArray()
+            .should.eventually.deep.equal([{ first: 'Brad' }, { first: 'Hank' }]);
+    });
+
+    it('should apply clauses before the page and limit', function () {
+        return builder()
+            .where({ last: { in: ['Doe', 'Leupen'] } })
+            .orderBy('age')
+            .page({ size: 2, offset: 1 })
+            .toArray()
+            .then(rows => _.pluck(rows, 'first'))
+            .should.eventually.deep.equal(['Jane', 'Brad']);
+    });
+
+    it('should apply clauses before the through handlers', function () {
+        return builder()
+            .where({ last: 'Doe' })
+            .through(s => s.map(p => p.first))
+            .toArray()
+            .should.eventually.deep.equal(['Jane', 'John']);
+    });
+
+    it('should trim the result\'s fields to the projection', async function () {
+        const result = await builder((q, reply) => reply(people).field('last', f => f.label('Last')))
+            .select(['first', 'last'])
+            .execute();
+
+        result.fields.should.have.keys('first', 'last');
+    });
+
+    it('should serialize clauses', function () {
+        const json = query().where({ age: { gt: 20 } }).orderBy('age').select('first').toJSON();
+
+        _.pick(json, 'where', 'orderBy', 'select').should.deep.equal({
+            where: [{ field: 'age', op: 'gt', value: 20 }],
+            orderBy: [{ field: 'age', direction: 'asc' }],
+            select: ['first']
+        });
+    });
+
+    it('should reject unknown operators and clauses', function () {
+        (() => query().where({ age: { between: [1, 2] } })).should.throw('Unknown operator between');
+
+        return query()
+            .handler((q, reply) => reply(people).handled('groupBy'))
+            .execute()
+            .should.be.rejectedWith('Unknown clause groupBy');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+'use strict';
+
+const query = require('../lib');
+const chai = require('chai');
+const sinon = require('sinon');
+const Readable = require('stream').Readable;
+const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }, { first: 'Jane', last: 'Doe' }];
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('count', function () {
+    it('should resolve the count a handler replies with', async function () {
+        const end = sinon.spy();
+        const handler = sinon.spy((q, reply) => {
+            q.mode.should.equal('count');
+            reply().count(42).on('end', end);
+        });
+
+        (await query().handler(handler).count()).should.equal(42);
+        handler.should.have.been.calledOnce;
+        end.should.have.been.calledOnce;
+    });
+
+    it('should limit the count a handler replies with', function () {
+        return query()
+            .handler((q, reply) => reply().count(42))
+            .limit(10)
+            .count()
+            .should.eventually.equal(10);
+    });
+
+    it('should page the count a handler replies with as it would page the rows', async function () {
+        const counting = builder => builder.handler((q, reply) => reply().count(100)).count();
+        const streaming = builder => builder.handler((q, reply) => reply(Array.from({ length: 100 }, (v, i) => i))).count();
+        const pages = [{ size: 10 }, { size: 10, offset: 95 }, { offset: 40 }, { size: 10, after: 120 }];
+
+        for (const page of pages) {
+            (await counting(query().page(page))).should.equal(await streaming(query().page(page)));
+        }
+
+        (await counting(query().page({ size: 10 }).dedupe())).should.equal(10);
+        (await query().handler((q, reply) => reply().count(100).paged()).page({ size: 10 }).count())
+            .should.equal(100);
+    });
+
+    it('should count the rows streamed through the through handlers when the handler ignores the mode', function () {
+        return query()
+            .handler((q, reply) => reply(people).selected(100))
+            .through(s => s.filter(p => p.last === 'Leupen'))
+            .count()
+            .should.eventually.equal(2);
+    });
+
+    it('should count the rows of a streamed source', async function () {
+        let pushed = 0;
+        const rows = new Readable({
+            objectMode: true,
+            highWaterMark: 1,
+            read () {
+                this.push(pushed < 1000 ? { id: pushed++ } : null);
+            }
+        });
+
+        const q = query().handler((q, reply) => reply(rows)).build();
+        const count = await q.count();
+
+        count.should.equal(1000);
+    });
+
+    it('should restore the mode once counted', async function () {
+        const modes = [];
+        const q = query().handler((q, reply) => {
+            modes.push(q.mode);
+            reply(people);
+        }).build();
+
+        (await q.count()).should.equal(3);
+        q.mode.should.equal('execute');
+
+        (await (await q.rerun()).toArray()).should.deep.equal(people);
+        modes.should.deep.equal(['count', 'execute']);
+    });
+
+    it('should reject counting a query that has already been executed', async function () {
+        const handler = sinon.spy((q, reply) => reply(people));
+        const q = query().handler(handler).build();
+
+        await q.execute();
+
+        await q.count().should.be.rejectedWith('Cannot count a query that has already been executed');
+        handler.should.have.been.calledOnce;
+        q.mode.should.equal('execute');
+    });
+
+    it('should validate params before counting', function () {
+        return query()
+            .handler((q, reply) => reply().count(1))
+            .params({ year: { type: 'integer', required: true } })
+            .count({})
+            .should.be.rejectedWith(query.QueryValidationError, 'Invalid params: "year" is required');
+    });
+});
\ No newline at end of file
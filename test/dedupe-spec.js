@@ -0,0 +1,199 @@
+'use strict';
+
+const query = require('../lib');
+const chai = require('chai');
+const sinon = require('sinon');
+const P = require('bluebird');
+const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }];
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('dedupe', function () {
+    const handler = sinon.spy(function (query, reply) {
+        setTimeout(() => reply(people).fields(['first', 'last']).selected(2), 10);
+    });
+
+    beforeEach(function () {
+        handler.reset();
+    });
+
+    it('should share a single handler invocation between identical queries', async function () {
+        const builder = query('select * from people').handler(handler).dedupe();
+
+        const results = await P.all([builder.toArray({ state: 'NC' }), builder.toArray({ state: 'NC' })]);
+
+        handler.should.have.been.calledOnce;
+        results[0].should.deep.equal(people);
+        results[1].should.deep.equal(people);
+    });
+
+    it('should invoke the handler for queries with different params', async function () {
+        const builder = query('select * from people').handler(handler).dedupe();
+
+        await P.all([builder.toArray({ state: 'NC' }), builder.toArray({ state: 'SC' })]);
+
+        handler.should.have.been.calledTwice;
+    });
+
+    it('should invoke the handler for queries with different escape strategies', async function () {
+        const payloads = [];
+        const binding = sinon.spy((q, reply) => {
+            payloads.push(q.boundPayload);
+            setTimeout(() => reply(people), 10);
+        });
+        const builder = query('select * from people order by {{column}}').handler(binding).dedupe();
+
+        await P.all([
+            builder.toArray({ column: 'last' }),
+            builder.clone().escape('identifier').toArray({ column: 'last' })
+        ]);
+
+        binding.should.have.been.calledTwice;
+        payloads.should.have.members(['select * from people order by last', 'select * from people order by "last"']);
+    });
+
+    it('should invoke the handler for queries with different options', async function () {
+        const builder = query('select * from people').handler(handler).dedupe();
+
+        await P.all([builder.toArray(), builder.clone().option('db', 'replica').toArray()]);
+
+        handler.should.have.been.calledTwice;
+        handler.secondCall.args[0].options.should.not.deep.equal(handler.firstCall.args[0].options);
+    });
+
+    it('should share a count with the handler in count mode', async function () {
+        const counting = sinon.spy((q, reply) => setTimeout(() => reply().count(q.mode === 'count' ? 42 : 0), 10));
+        const builder = query('select * from people').handler(counting).dedupe();
+
+        const counts = await P.all([builder.count(), builder.count(), builder.toArray()]);
+
+        counting.should.have.been.calledTwice;
+        counts.should.deep.equal([42, 42, []]);
+    });
+
+    it('should invoke the handler again once the shared invocation has replied', async function () {
+        const builder = query('select * from people').handler(handler).dedupe();
+
+        await builder.toArray();
+        await builder.toArray();
+
+        handler.should.have.been.calledTwice;
+    });
+
+    it('should not share invocations unless enabled', async function () {
+        const builder = query('select * from people').handler(handler);
+
+        await P.all([builder.toArray(), builder.toArray()]);
+
+        handler.should.have.been.calledTwice;
+    });
+
+    it('should share the page taken from the shared result', async function () {
+        const builder = query('select * from people').handler(handler).page({ size: 1 }).dedupe();
+
+        const results = await P.all([builder.execute(), builder.execute()]);
+        const data = await P.all(results.map(r => r.toArray()));
+
+        handler.should.have.been.calledOnce;
+        data.forEach(d => d.should.deep.equal(people.slice(0, 1)));
+        results.forEach(r => r.hasMore.should.be.true);
+    });
+
+    it('should share the clauses applied to the shared result', async function () {
+        const builder = query('select * from people')
+            .handler(handler)
+            .where({ first: 'Hank' })
+            .select('first')
+            .dedupe();
+        const other = builder.clone().where({ first: 'Brad' });
+
+        const data = await P.all([builder.toArray(), builder.toArray(), other.toArray()]);
+
+        handler.should.have.been.calledTwice;
+        data.should.deep.equal([[{ first: 'Hank' }], [{ first: 'Hank' }], []]);
+    });
+
+    it('should give each query its own result and fields', async function () {
+        const builder = query('select * from people').handler(handler).dedupe();
+
+        const results = await P.all([builder.execute(), builder.execute()]);
+
+        results[0].should.not.equal(results[1]);
+        results[0].field('first', f => f.label('First'));
+        results[0].fields.should.deep.equal({ first: { position: 0, label: 'First' }, last: { position: 1 } });
+        results[1].fields.should.deep.equal({ first: { position: 0 }, last: { position: 1 } });
+        results[1].selected.should.equal(2);
+
+        const data = await P.all(results.map(r => r.toArray()));
+        data[0].should.deep.equal(people);
+        data[1].should.deep.equal(people);
+    });
+
+    it('should keep streaming to the other queries when one is cancelled', async function () {
+        const cancel = sinon.spy();
+        const shared = (q, reply) => {
+            q.on('cancel', cancel);
+            setTimeout(() => reply(people), 10);
+        };
+        const builder = query('select * from people').handler(shared).dedupe();
+        const first = builder.build();
+        const second = builder.build();
+
+        const promises = [first.execute(), second.execute()];
+        first.cancel();
+        const results = await P.all(promises);
+
+        (await results[0].toArray()).should.have.lengthOf(0);
+        (await results[1].toArray()).should.deep.equal(people);
+        cancel.should.not.have.been.called;
+    });
+
+    it('should keep streaming to the other queries while one doesn\'t read its result', async function () {
+        const rows = Array.from({ length: 100 }, (v, i) => ({ id: i }));
+        const builder = query('select * from people')
+            .handler((q, reply) => setTimeout(() => reply(rows), 10))
+            .dedupe();
+
+        const results = await P.all([builder.execute(), builder.execute()]);
+
+        (await results[1].toArray()).should.deep.equal(rows);
+        (await results[0].toArray()).should.deep.equal(rows);
+    });
+
+    it('should cancel the shared invocation once every query is cancelled', async function () {
+        const cancel = sinon.spy();
+        const shared = (q, reply) => {
+            q.on('cancel', cancel);
+            setTimeout(() => reply(people), 10);
+        };
+        const builder = query('select * from people').handler(shared).dedupe();
+        const first = builder.build();
+        const second = builder.build();
+
+        const promises = [first.execute(), second.execute()];
+        await P.delay(1);
+        first.cancel();
+        cancel.should.not.have.been.called;
+        second.cancel();
+        cancel.should.have.been.calledOnce;
+
+        await P.all(promises);
+    });
+
+    it('should reject each query with a shared handler error', async function () {
+        const error = new Error('Ooops!');
+        const spy = sinon.spy();
+        const builder = query('select * from people')
+            .handler((q, reply) => setTimeout(() => reply(error), 10))
+            .dedupe()
+            .on('queryError', spy);
+
+        const results = await P.all([builder.execute(), builder.execute()].map(p => p.reflect()));
+
+        results.should.have.lengthOf(2);
+        results.forEach(r => r.reason().cause.should.equal(error));
+        spy.should.have.been.calledTwice;
+    });
+});
\ No newline at end of file
@@ -0,0 +1,166 @@
+'use strict';
+
+const _ = require('lodash');
+const query = require('../lib');
+const chai = require('chai');
+const should = chai.should();
+const sinon = require('sinon');
+const P = require('bluebird');
+const Query = require('../lib/query').Query;
+const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }];
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('errors', function () {
+    const builder = () => query('select * from people').language('sql').use(q => q.id = 'people');
+    const context = err => _.pick(err, 'queryId', 'language', 'phase');
+    const rejection = promise => promise.then(() => {
+        throw new Error('Should not succeed');
+    }, err => err);
+
+    it('should raise a QueryValidationError for an invalid definition', function () {
+        let caught;
+        try {
+            new Query().configure({ id: 'people', language: 'sql', handler: () => null, limit: 'ten' });
+        } catch (err) {
+            caught = err;
+        }
+
+        caught.should.be.an.instanceOf(query.QueryValidationError);
+        caught.should.be.an.instanceOf(query.QueryError);
+        context(caught).should.deep.equal({ queryId: 'people', language: 'sql', phase: undefined });
+        caught.details.should.have.lengthOf(1);
+    });
+
+    it('should reject with a QueryValidationError without a handler', function () {
+        return new Query()
+            .execute()
+            .should.be.rejectedWith(query.QueryValidationError, 'No handler defined');
+    });
+
+    it('should reject a builder without a handler through its error handlers and listeners', async function () {
+        const errorHandler = sinon.spy();
+        const spy = sinon.spy();
+
+        const caught = await rejection(query('select * from people')
+            .error(errorHandler)
+            .on('queryError', spy)
+            .execute());
+
+        caught.should.be.an.instanceOf(query.QueryValidationError);
+        caught.message.should.equal('No handler defined');
+        errorHandler.should.have.been.calledWith(caught);
+        spy.should.have.been.calledWith(caught);
+    });
+
+    it('should reject an invalid definition through its error handlers and listeners', async function () {
+        const errorHandler = sinon.spy();
+        const spy = sinon.spy();
+        const builder = query('select * from people')
+            .handler((q, reply) => reply(people))
+            .configure({ id: 'people', limit: 'ten' })
+            .error(errorHandler)
+            .on('queryError', spy);
+
+        const caught = await rejection(builder.toArray());
+
+        caught.should.be.an.instanceOf(query.QueryValidationError);
+        caught.queryId.should.equal('people');
+        errorHandler.should.have.been.calledWith(caught);
+        spy.should.have.been.calledWith(caught);
+    });
+
+    it('should wrap handler errors in a HandlerError', async function () {
+        const error = new Error('connection refused');
+        const errorHandler = sinon.spy();
+        const spy = sinon.spy();
+
+        const caught = await rejection(builder()
+            .handler((q, reply) => reply(error))
+            .error(errorHandler)
+            .on('queryError', spy)
+            .execute());
+
+        caught.should.be.an.instanceOf(query.HandlerError);
+        caught.message.should.equal('connection refused');
+        caught.cause.should.equal(error);
+        context(caught).should.deep.equal({ queryId: 'people', language: 'sql', phase: 'handler' });
+        errorHandler.should.have.been.calledWith(caught);
+        spy.should.have.been.calledWith(caught);
+    });
+
+    it('should wrap pre and post interceptor errors in a QueryError', async function () {
+        const pre = await rejection(builder()
+            .handler((q, reply) => reply(people))
+            .pre(() => {
+                throw new Error('pre');
+            })
+            .execute());
+
+        const post = await rejection(builder()
+            .handler((q, reply) => reply(people))
+            .post(() => {
+                throw new Error('post');
+            })
+            .execute());
+
+        pre.should.be.an.instanceOf(query.QueryError);
+        pre.phase.should.equal('pre');
+        post.should.be.an.instanceOf(query.QueryError);
+        post.phase.should.equal('post');
+    });
+
+    it('should wrap stream errors in a StreamError', async function () {
+        const error = new Error('bad row');
+        const errorHandler = sinon.spy();
+        const result = await builder()
+            .handler((q, reply) => reply(people))
+            .through(s => s.map(() => {
+                throw error;
+            }))
+            .error(errorHandler)
+            .execute();
+
+        const caught = await rejection(result.toArray());
+
+        caught.should.be.an.instanceOf(query.StreamError);
+        caught.cause.should.equal(error);
+        context(caught).should.deep.equal({ queryId: 'people', language: 'sql', phase: 'stream' });
+        errorHandler.should.have.been.calledOnce;
+        errorHandler.should.have.been.calledWith(caught);
+    });
+
+    it('should raise a QueryTimeoutError that is a QueryCancelledError', async function () {
+        const caught = await rejection(builder()
+            .handler(() => null)
+            .timeout(10)
+            .execute());
+
+        caught.should.be.an.instanceOf(query.QueryTimeoutError);
+        caught.should.be.an.instanceOf(query.QueryCancelledError);
+        context(caught).should.deep.equal({ queryId: 'people', language: 'sql', phase: 'handler' });
+    });
+
+    it('should abort the query signal with a QueryCancelledError', function () {
+        const q = builder().handler(() => null).build();
+        if (!q.signal) return this.skip();
+
+        q.cancel();
+
+        q.signal.reason.should.be.an.instanceOf(query.QueryCancelledError);
+        should.not.exist(q.cancelReason);
+    });
+
+    it('should not wrap query errors raised by the handler', async function () {
+        const error = new query.QueryCancelledError('stale', { reason: 'stale' });
+
+        const caught = await rejection(builder()
+            .handler((q, reply) => P.delay(1).then(() => reply(error)))
+            .execute());
+
+        caught.should.equal(error);
+        caught.reason.should.equal('stale');
+        context(caught).should.deep.equal({ queryId: 'people', language: 'sql', phase: 'handler' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,162 @@
+'use strict';
+
+const _ = require('lodash');
+const query = require('../lib');
+const chai = require('chai');
+const sinon = require('sinon');
+const P = require('bluebird');
+const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }];
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('explain', function () {
+    function sql (q, reply) {
+        if (q.mode === 'explain') return reply({ steps: ['seq scan people'] });
+        reply(people);
+    }
+
+    sql.supportsExplain = true;
+
+    const upper = s => s.map(p => _.assign({}, p, { last: p.last.toUpperCase() }));
+    const builder = () => query('select * from people where last = :last')
+        .language('sql')
+        .limit(10)
+        .field('first', f => f.label('First Name'))
+        .params({ last: { type: 'string', default: 'Leupen' } })
+        .pre(q => q.payload += ' order by first')
+        .through(upper, { name: 'upper' })
+        .through(s => s);
+
+    it('should report what the query would run, with the handler\'s plan', function () {
+        return builder()
+            .handler(sql)
+            .explain()
+            .should.eventually.deep.equal({
+                payload: 'select * from people where last = :last order by first',
+                boundPayload: 'select * from people where last = \'Leupen\' order by first',
+                params: { last: 'Leupen' },
+                limit: 10,
+                fields: { first: { label: 'First Name' } },
+                through: [{ name: 'upper' }, { name: null }],
+                source: 'handler',
+                explained: true,
+                plan: { steps: ['seq scan people'] }
+            });
+    });
+
+    it('should set the query mode while explaining', async function () {
+        const handler = sinon.spy(sql);
+        handler.supportsExplain = true;
+        const q = builder().handler(handler).build();
+
+        await q.explain();
+
+        handler.should.have.been.calledOnce;
+        handler.firstCall.args[0].should.equal(q);
+        q.mode.should.equal('execute');
+        (await q.toArray()).should.have.lengthOf(2);
+    });
+
+    it('should resolve plans from promise returning handlers and bound handlers', async function () {
+        const handlers = {
+            handler: function () {
+                return Promise.resolve(this.plan);
+            },
+            plan: { steps: ['index scan'] }
+        };
+        handlers.handler.supportsExplain = true;
+
+        const report = await builder().handler(handlers.handler, handlers).explain();
+
+        report.plan.should.deep.equal({ steps: ['index scan'] });
+    });
+
+    it('should not invoke handlers that don\'t support explain', async function () {
+        const handler = sinon.spy((q, reply) => reply(people));
+        const report = await builder().handler(handler).explain();
+
+        handler.should.not.have.been.called;
+        _.pick(report, 'source', 'explained', 'plan')
+            .should.deep.equal({ source: 'handler', explained: false, plan: null });
+    });
+
+    it('should not invoke the handler when a pre handler replies', async function () {
+        const handler = sinon.spy(sql);
+        const report = await builder().handler(handler).pre((q, reply) => reply(people)).explain();
+
+        handler.should.not.have.been.called;
+        _.pick(report, 'source', 'explained', 'plan')
+            .should.deep.equal({ source: 'pre', explained: false, plan: null });
+    });
+
+    it('should validate params', function () {
+        return builder()
+            .handler(sql)
+            .explain({ last: 1 })
+            .should.be.rejectedWith(query.QueryValidationError, 'Invalid params: "last" must be a string');
+    });
+
+    it('should wait for a reply from a promise returning handler that resolves to undefined', async function () {
+        function callback (q, reply) {
+            setTimeout(() => reply({ steps: ['index scan'] }), 5);
+            return Promise.resolve();
+        }
+        callback.supportsExplain = true;
+
+        const report = await builder().handler(callback).explain();
+
+        report.plan.should.deep.equal({ steps: ['index scan'] });
+    });
+
+    it('should time out a handler that never replies', async function () {
+        function hanging () {}
+        hanging.supportsExplain = true;
+        const q = builder().handler(hanging).timeout(20).build();
+
+        await q.explain().should.be.rejectedWith(query.QueryTimeoutError);
+
+        q.cancelled.should.be.true;
+        q.mode.should.equal('execute');
+        q.listeners('cancel').should.be.empty;
+    });
+
+    it('should reject when the query is cancelled while explaining', function () {
+        function hanging () {}
+        hanging.supportsExplain = true;
+        const q = builder().handler(hanging).build();
+
+        const explained = q.explain();
+        P.delay(5).then(() => q.cancel());
+
+        return explained.should.be.rejectedWith(query.QueryCancelledError);
+    });
+
+    it('should wait for a slot from the scheduler', async function () {
+        const scheduler = new query.Scheduler({ concurrency: 1 });
+        const release = await scheduler.acquire({});
+        const handler = sinon.spy(sql);
+        handler.supportsExplain = true;
+
+        const explained = builder().handler(handler).scheduler(scheduler).explain();
+        await P.delay(5);
+        handler.should.not.have.been.called;
+
+        release();
+        (await explained).explained.should.be.true;
+        scheduler.running.should.equal(0);
+    });
+
+    it('should wrap handler errors', function () {
+        function failing (q, reply) {
+            reply(new Error('no plan'));
+        }
+        failing.supportsExplain = true;
+
+        return builder()
+            .handler(failing)
+            .explain()
+            .should.be.rejectedWith(query.HandlerError, 'no plan');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+'use strict';
+
+const query = require('../lib');
+const chai = require('chai');
+const sinon = require('sinon');
+const P = require('bluebird');
+const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }];
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('handlers', function () {
+    const sql = (q, reply) => reply(people);
+
+    afterEach(function () {
+        query.removeHandler('sql');
+        query.removeHandler('mongo');
+    });
+
+    it('should resolve the handler registered for the query language', function () {
+        const handler = sinon.spy(sql);
+        query.registerHandler('sql', handler);
+
+        return query('select * from people')
+            .language('sql')
+            .toArray()
+            .then(data => {
+                data.should.deep.equal(people);
+                handler.should.have.been.calledOnce;
+            });
+    });
+
+    it('should prefer an explicit handler', function () {
+        const handler = sinon.spy();
+        query.registerHandler('sql', handler);
+
+        return query('select * from people')
+            .language('sql')
+            .handler(sql)
+            .toArray()
+            .then(data => {
+                data.should.deep.equal(people);
+                handler.should.not.have.been.called;
+            });
+    });
+
+    it('should apply the registered defaults under the builder definition', function () {
+        const defaults = { timeout: 1000, options: { pool: 'main', schema: 'public' } };
+        query.registerHandler('sql', sql, defaults);
+
+        const q = query('select * from people').language('sql').options({ schema: 'hr' }).build();
+
+        q.timeout.should.equal(1000);
+        q.options.should.deep.equal({ pool: 'main', schema: 'hr' });
+        defaults.options.should.deep.equal({ pool: 'main', schema: 'public' });
+    });
+
+    it('should run the registered chains before the builder\'s own', async function () {
+        const calls = [];
+        const pre = name => () => calls.push(name);
+        query.registerHandler('sql', sql, { preHandlers: [pre('a'), pre('b')], throughHandlers: [s => s.take(1)] });
+
+        const data = await query('select * from people').language('sql').pre(pre('c')).toArray();
+
+        calls.should.deep.equal(['a', 'b', 'c']);
+        data.should.deep.equal(people.slice(0, 1));
+    });
+
+    it('should raise a QueryValidationError for an unknown language', function () {
+        (() => query('db.people.find()').language('mongo').build())
+            .should.throw(query.QueryValidationError, 'No handler is registered for language mongo');
+    });
+
+    it('should reject running a query of an unknown language', function () {
+        const builder = query('db.people.find()').language('mongo');
+        const message = 'No handler is registered for language mongo';
+
+        return P.all([
+            builder.execute().should.be.rejectedWith(query.QueryValidationError, message),
+            builder.toArray().should.be.rejectedWith(query.QueryValidationError, message),
+            builder.count().should.be.rejectedWith(query.QueryValidationError, message),
+            builder.explain().should.be.rejectedWith(query.QueryValidationError, message)
+        ]);
+    });
+
+    it('should reject a language that is already registered', function () {
+        query.registerHandler('sql', sql);
+
+        (() => query.registerHandler('sql', sql)).should.throw('A handler is already registered for language sql');
+    });
+
+    it('should list the registered languages', function () {
+        query.registerHandler('sql', sql);
+        query.registerHandler('mongo', sql);
+
+        query.languages().should.deep.equal(['mongo', 'sql']);
+        query.removeHandler('mongo');
+        query.languages().should.deep.equal(['sql']);
+    });
+});
\ No newline at end of file
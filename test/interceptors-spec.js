@@ -0,0 +1,135 @@
+'use strict';
+
+const _ = require('lodash');
+const query = require('../lib');
+const chai = require('chai');
+const sinon = require('sinon');
+const Transform = require('stream').Transform;
+const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }];
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('interceptors', function () {
+    // an interceptor recording its name when invoked
+    const recorder = (calls, name) => () => {
+        calls.push(name);
+    };
+
+    it('should apply interceptors in the order they are added', async function () {
+        const calls = [];
+
+        await query()
+            .handler((q, r) => r(people))
+            .pre(recorder(calls, 'a'))
+            .pre(recorder(calls, 'b'), { name: 'b' })
+            .pre(recorder(calls, 'c'))
+            .execute();
+
+        calls.should.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should apply interceptors by order', async function () {
+        const calls = [];
+
+        await query()
+            .handler((q, r) => r(people))
+            .pre(recorder(calls, 'a'), { order: 10 })
+            .pre(recorder(calls, 'b'))
+            .pre(recorder(calls, 'c'), { order: -10 })
+            .pre(recorder(calls, 'd'), { order: 10 })
+            .execute();
+
+        calls.should.deep.equal(['c', 'b', 'a', 'd']);
+    });
+
+    it('should position interceptors before or after a named interceptor', async function () {
+        const calls = [];
+
+        await query()
+            .handler((q, r) => r(people))
+            .post(recorder(calls, 'a'), { after: 'c' })
+            .post(recorder(calls, 'b'), { name: 'b' })
+            .post(recorder(calls, 'c'), { name: 'c', before: 'b' })
+            .post(recorder(calls, 'd'))
+            .execute();
+
+        calls.should.deep.equal(['c', 'a', 'b', 'd']);
+    });
+
+    it('should list interceptors in order', function () {
+        const first = _.noop;
+        const second = () => null;
+
+        query()
+            .error(second, { name: 'second', order: 1 })
+            .error(first, { name: 'first' })
+            .interceptors('error')
+            .should.deep.equal([
+                { name: 'first', interceptor: first },
+                { name: 'second', order: 1, interceptor: second }
+            ]);
+    });
+
+    it('should remove interceptors by name', async function () {
+        const spy = sinon.spy();
+        const builder = query()
+            .handler((q, r) => r(people))
+            .through(s => s.map(p => p.first), { name: 'first' })
+            .pre(spy, { name: 'spy' });
+
+        const q = builder.removeInterceptor('through', 'first').build();
+        q.removeInterceptor('pre', 'spy');
+
+        (await q.toArray()).should.deep.equal(people);
+        spy.should.not.have.been.called;
+        builder.interceptors('pre').should.have.lengthOf(1);
+    });
+
+    it('should reject a name that is already registered', function () {
+        const builder = query().pre(_.noop, { name: 'auth' });
+
+        (() => builder.pre(_.noop, { name: 'auth' })).should.throw('An interceptor named auth is already registered');
+        (() => builder.through([_.identity, _.identity], { name: 'map' })).should.throw();
+        builder.post(_.noop, { name: 'auth' }).interceptors('post').should.have.lengthOf(1);
+    });
+
+    it('should reject an unknown interceptor type', function () {
+        (() => query().interceptors('foo')).should.throw('Unknown interceptor type foo');
+    });
+
+    it('should add, list and remove through interceptors on a result', async function () {
+        const result = await query()
+            .handler((q, reply) => {
+                reply(people);
+            })
+            .through(s => s.map(p => p.first), { name: 'first' })
+            .execute();
+
+        const lower = s => s.map(p => _.assign({}, p, { first: p.first.toLowerCase() }));
+
+        result
+            .through(lower, { name: 'lower', before: 'first' })
+            .through(s => s.map(first => first.toUpperCase()), { name: 'upper' })
+            .removeInterceptor('through', 'upper');
+
+        _.pluck(result.interceptors('through'), 'name').should.deep.equal(['lower', 'first']);
+        (await result.toArray()).should.deep.equal(['brad', 'hank']);
+    });
+
+    it('should pipe through named streams', function () {
+        const last = new Transform({
+            objectMode: true,
+            transform (person, enc, done) {
+                done(null, person.last);
+            }
+        });
+
+        return query()
+            .handler((q, r) => r(people))
+            .through(last, { name: 'last' })
+            .toArray()
+            .should.eventually.deep.equal(['Leupen', 'Leupen']);
+    });
+});
\ No newline at end of file
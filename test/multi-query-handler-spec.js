@@ -75,4 +75,26 @@ describe('multiHandler', function () {
             { id: '2020', data: 'fourth', year: '2020' },
         ]);
     });
+
+    it('should dispatch each query to the handler registered for its language', async function () {
+        query.registerHandler('sql', (q, reply) => reply(q.payload.map(table => ({ table }))));
+        query.registerHandler('mongo', (q, reply) => reply(q.payload.map(collection => ({ collection }))));
+
+        try {
+            const data = await query([
+                { id: 'people', language: 'sql', payload: ['people'] },
+                { id: 'orders', language: 'mongo', payload: ['orders'] }
+            ])
+                .handler(multi())
+                .toArray();
+
+            data.should.deep.equal([
+                { table: 'people', _type: 'people' },
+                { collection: 'orders', _type: 'orders' }
+            ]);
+        } finally {
+            query.removeHandler('sql');
+            query.removeHandler('mongo');
+        }
+    });
 });
\ No newline at end of file
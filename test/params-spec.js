@@ -0,0 +1,71 @@
+'use strict';
+
+const query = require('../lib');
+const joi = require('joi');
+const chai = require('chai');
+const sinon = require('sinon');
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('params', function () {
+    const rejection = promise => promise.then(() => {
+        throw new Error('Should not succeed');
+    }, err => err);
+
+    const builder = () => query('select * from orders')
+        .handler((q, reply) => reply([q.params]))
+        .params({
+            year: { type: 'integer', min: 1990, required: true, label: 'Year' },
+            region: { type: 'string', valid: ['east', 'west'], default: 'east' },
+            tags: { type: 'array', items: 'string' }
+        });
+
+    it('should convert and default params', function () {
+        return builder()
+            .toArray({ year: '2016', tags: 'open' })
+            .should.eventually.deep.equal([{ year: 2016, region: 'east', tags: ['open'] }]);
+    });
+
+    it('should validate params before the pre handlers run', async function () {
+        const pre = sinon.spy();
+        const caught = await rejection(builder().pre(pre).execute({ year: 1980, region: 'north' }));
+
+        caught.should.be.an.instanceOf(query.QueryValidationError);
+        caught.message.should.equal('Invalid params: "Year" must be larger than or equal to 1990, ' +
+            '"region" must be one of [east, west]');
+        caught.details.should.have.lengthOf(2);
+        pre.should.not.have.been.called;
+    });
+
+    it('should let pre handlers see the validated params', function () {
+        return builder()
+            .pre(q => q.params.year.should.equal(2016))
+            .execute({ year: '2016' });
+    });
+
+    it('should accept a joi schema', function () {
+        return query()
+            .handler((q, reply) => reply([q.params]))
+            .params(joi.object({ limit: joi.number().default(10) }))
+            .toArray()
+            .should.eventually.deep.equal([{ limit: 10 }]);
+    });
+
+    it('should describe the declared params', function () {
+        const described = {
+            year: { type: 'integer', required: true, min: 1990, label: 'Year' },
+            region: { type: 'string', required: false, default: 'east', valid: ['east', 'west'] },
+            tags: { type: 'array', required: false, items: { type: 'string', required: false } }
+        };
+
+        builder().describeParams().should.deep.equal(described);
+        builder().build().describeParams().should.deep.equal(described);
+        query().describeParams().should.deep.equal({});
+    });
+
+    it('should reject an unknown param type', function () {
+        (() => query().params({ year: 'int' })).should.throw('Unknown param type int');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,112 @@
+'use strict';
+
+const _ = require('lodash');
+const query = require('../lib');
+const joi = require('joi');
+const chai = require('chai');
+const sinon = require('sinon');
+const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }];
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('plugins', function () {
+    const auth = {
+        name: 'auth',
+        version: '1.0.0',
+        schema: joi.object({ role: joi.string().default('reader') }),
+        register: (q, options) => q.plugins.auth.role = options.role
+    };
+
+    it('should register a plugin with its validated options', function () {
+        const register = sinon.spy(auth, 'register');
+
+        try {
+            const q = query().handler(_.noop).use(auth).build();
+
+            register.should.have.been.calledOnce;
+            register.should.have.been.calledWith(q, { role: 'reader' });
+            q.plugins.auth.should.deep.equal({ role: 'reader' });
+        } finally {
+            register.restore();
+        }
+    });
+
+    it('should reject invalid options when the plugin is used', function () {
+        (() => query().use(auth, { role: 1 }))
+            .should.throw(query.QueryValidationError, /Invalid options for plugin auth/);
+    });
+
+    it('should reject an invalid plugin', function () {
+        (() => query().use({ name: 'nameless' })).should.throw(query.QueryValidationError, /Invalid plugin/);
+    });
+
+    it('should register a plugin once per name', function () {
+        const register = sinon.spy();
+        const plugin = { name: 'once', register: register };
+
+        query().handler(_.noop).use(plugin).use(plugin).build().use(plugin);
+
+        register.should.have.been.calledOnce;
+    });
+
+    it('should require dependencies to be registered first', function () {
+        const audit = { name: 'audit', dependencies: 'auth', register: _.noop };
+
+        (() => query().handler(_.noop).use(audit).use(auth).build())
+            .should.throw(query.QueryValidationError, 'Plugin audit depends on auth, which must be registered first');
+        query().handler(_.noop).use(auth).use(audit).build().plugins.should.have.keys('auth', 'audit');
+    });
+
+    it('should keep plugin state per query', function () {
+        const counter = {
+            name: 'counter',
+            register: q => q.on('execute', () => q.plugins.counter.executions = 1)
+        };
+        const builder = query().handler((q, r) => r(people)).use(counter);
+        const first = builder.build();
+        const second = builder.build();
+
+        return first.execute().then(() => {
+            first.plugins.counter.executions.should.equal(1);
+            second.plugins.counter.should.deep.equal({});
+        });
+    });
+
+    it('should still accept plugin registration functions', function () {
+        const plugin = sinon.spy();
+        const q = query().handler(_.noop).use([plugin, plugin]).build();
+
+        plugin.should.have.been.calledTwice;
+        plugin.should.have.been.calledWith(q);
+    });
+
+    describe('global plugins', function () {
+        afterEach(function () {
+            query.removePlugin('auth');
+        });
+
+        it('should register global plugins with every query', function () {
+            query.use(auth, { role: 'admin' });
+
+            query().handler(_.noop).build().plugins.auth.should.deep.equal({ role: 'admin' });
+            query().handler(_.noop).build().plugins.auth.should.deep.equal({ role: 'admin' });
+        });
+
+        it('should register global plugins ahead of builder plugins', function () {
+            const audit = { name: 'audit', dependencies: ['auth'], register: _.noop };
+            query.use(auth);
+
+            query().handler(_.noop).use(audit).use(auth, { role: 'admin' }).build()
+                .plugins.should.deep.equal({ auth: { role: 'reader' }, audit: {} });
+        });
+
+        it('should remove global plugins', function () {
+            query.use(auth);
+            query.removePlugin('auth');
+
+            query().handler(_.noop).build().plugins.should.deep.equal({});
+        });
+    });
+});
\ No newline at end of file
@@ -13,6 +13,7 @@ const QueryResult = require('../lib/query-result').QueryResult;
 const FieldConfigurator = require('../lib/field-configurator').FieldConfigurator;
 const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }];
 const { Readable, Writable, pipeline } = require('stream');
+const events = require('events');
 
 chai.use(require('sinon-chai'));
 chai.use(require('chai-as-promised'));
@@ -110,6 +111,356 @@ describe('QueryBuilder', function () {
         });
     });
 
+    describe('page()', function () {
+        const rows = _.range(5).map(i => ({ i }));
+
+        it('should pass the page to the handler', function () {
+            return query('select * from foo')
+                .page({ size: 2, offset: 4 })
+                .handler((q, r) => {
+                    q.page.should.deep.equal({ size: 2, offset: 4 });
+                    r();
+                })
+                .execute();
+        });
+
+        it('should take the page from the stream if the handler does not page', async function () {
+            const result = await query('select * from foo')
+                .page({ size: 2, offset: 1 })
+                .handler((q, r) => r(rows))
+                .execute();
+
+            (await result.toArray()).should.deep.equal(rows.slice(1, 3));
+            result.hasMore.should.be.true;
+            result.nextCursor.should.equal(3);
+        });
+
+        it('should report the last page', async function () {
+            const result = await query('select * from foo')
+                .page({ size: 2, offset: 3 })
+                .handler((q, r) => r(rows))
+                .execute();
+
+            (await result.toArray()).should.deep.equal(rows.slice(3));
+            result.hasMore.should.be.false;
+            should.not.exist(result.nextCursor);
+        });
+
+        it('should not page the stream if the handler marks the reply as paged', async function () {
+            const result = await query('select * from foo')
+                .page({ size: 2 })
+                .after('abc')
+                .handler((q, r) => {
+                    q.page.should.deep.equal({ size: 2, offset: 0, after: 'abc' });
+                    r(rows.slice(0, 3)).paged({ nextCursor: 'def', hasMore: true });
+                })
+                .execute();
+
+            (await result.toArray()).should.deep.equal(rows.slice(0, 3));
+            result.nextCursor.should.equal('def');
+            result.hasMore.should.be.true;
+        });
+    });
+
+    describe('after()', function () {
+        const rows = _.range(5).map(i => ({ i }));
+
+        it('should continue from a cursor issued by the stream fallback', async function () {
+            const builder = query('select * from foo')
+                .page({ size: 2 })
+                .handler((q, r) => r(rows));
+
+            const first = await builder.execute();
+            (await first.toArray()).should.deep.equal(rows.slice(0, 2));
+
+            const second = await builder.clone().after(first.nextCursor).execute();
+            (await second.toArray()).should.deep.equal(rows.slice(2, 4));
+            second.hasMore.should.be.true;
+        });
+    });
+
+    describe('timeout()', function () {
+        it('should reject with a QueryTimeoutError if the handler does not reply in time', function () {
+            const errorHandler = sinon.spy();
+            const spy = sinon.spy();
+
+            return query('select * from accounts')
+                .handler(_.noop)
+                .timeout(50)
+                .error(errorHandler)
+                .on('queryError', spy)
+                .execute()
+                .should.be.rejectedWith(query.QueryTimeoutError)
+                .then(() => {
+                    errorHandler.should.have.been.calledOnce;
+                    spy.should.have.been.calledOnce;
+                    spy.firstCall.args[0].should.have.property('timeout', 50);
+                });
+        });
+
+        it('should cancel the query when the timeout elapses', function () {
+            const spy = sinon.spy();
+
+            return query('select * from accounts')
+                .handler(q => q.on('cancel', spy))
+                .timeout(50)
+                .execute()
+                .catch(_.noop)
+                .then(() => spy.should.have.been.called);
+        });
+
+        it('should not time out a query that completes in time', function () {
+            return query('select * from accounts')
+                .handler((q, r) => r(people))
+                .timeout(50)
+                .toArray()
+                .then(arr => P.delay(100).return(arr))
+                .then(arr => arr.should.deep.equal(people));
+        });
+
+        it('should fail the result stream if it has not finished in time', function () {
+            const spy = sinon.spy();
+
+            return query('select * from accounts')
+                .handler((q, r) => r((push, next) => setTimeout(() => {
+                    push(null, {});
+                    next();
+                }, 10)))
+                .timeout(100)
+                .on('queryError', spy)
+                .toArray()
+                .should.be.rejectedWith(query.QueryTimeoutError)
+                .then(() => spy.should.have.been.calledOnce);
+        });
+    });
+
+    describe('retry()', function () {
+        it('should re-invoke a failing handler until it replies', function () {
+            const spy = sinon.spy();
+            let calls = 0;
+
+            return query('select * from accounts')
+                .handler((q, r) => ++calls < 3 ? r(new Error('ECONNRESET')) : r(people))
+                .retry({ attempts: 3 })
+                .on('retry', spy)
+                .toArray()
+                .then(arr => {
+                    arr.should.deep.equal(people);
+                    calls.should.equal(3);
+                    spy.should.have.been.calledTwice;
+                    spy.secondCall.args[1].should.equal(3);
+                });
+        });
+
+        it('should handle the error once the attempts are exhausted', function () {
+            const error = new Error('ECONNRESET');
+            const errorHandler = sinon.spy();
+            const spy = sinon.spy();
+            const handler = sinon.spy(() => {
+                throw error;
+            });
+
+            return query('select * from accounts')
+                .handler(handler)
+                .retry(2)
+                .error(errorHandler)
+                .on('queryError', spy)
+                .execute()
+                .should.be.rejectedWith(query.HandlerError, 'ECONNRESET')
+                .then(() => {
+                    handler.should.have.been.calledTwice;
+                    errorHandler.should.have.been.calledOnce;
+                    spy.should.have.been.calledOnce;
+                });
+        });
+
+        it('should only retry errors accepted by retryOn', function () {
+            const handler = sinon.spy((q, r) => r(new Error('Syntax error')));
+
+            return query('select * fromwhere')
+                .handler(handler)
+                .retry({ attempts: 3, retryOn: err => err.message === 'ECONNRESET' })
+                .execute()
+                .should.be.rejectedWith('Syntax error')
+                .then(() => handler.should.have.been.calledOnce);
+        });
+
+        it('should wait for the backoff between attempts', function () {
+            const backoff = sinon.spy(n => n * 20);
+            let calls = 0;
+            const start = Date.now();
+
+            return query('select * from accounts')
+                .handler(async () => {
+                    if (++calls < 3) throw new Error('ECONNRESET');
+                    return people;
+                })
+                .retry({ attempts: 3, backoff })
+                .toArray()
+                .then(() => {
+                    backoff.should.have.been.calledTwice;
+                    backoff.firstCall.args[0].should.equal(1);
+                    (Date.now() - start).should.be.at.least(55);
+                });
+        });
+    });
+
+    describe('tracer()', function () {
+        it('should open spans around each phase of the query', async function () {
+            const tracer = new query.MemoryTracer();
+
+            const data = await query('select * from accounts')
+                .handler((q, r) => r(people))
+                .language('sql')
+                .user('brad')
+                .through(s => s.filter(p => p.first === 'Brad'))
+                .through(s => s.map(p => _.assign({}, p, { full: `${p.first} ${p.last}` })))
+                .tracer(tracer)
+                .toArray();
+
+            data.should.have.lengthOf(1);
+
+            const execute = tracer.find('query.execute')[0];
+            execute.attributes.should.include({ 'query.language': 'sql', 'query.user': 'brad' });
+            should.exist(execute.endedAt);
+
+            ['query.pre', 'query.handler', 'query.post', 'query.stream'].forEach(name => {
+                const span = tracer.find(name)[0];
+                span.parent.should.equal(execute);
+                should.exist(span.endedAt);
+            });
+
+            const stream = tracer.find('query.stream')[0];
+            stream.attributes.should.include({ 'query.rows.source': 2, 'query.rows.emitted': 1 });
+
+            const through = tracer.find('query.through');
+            through.should.have.lengthOf(2);
+            through.forEach(span => span.parent.should.equal(stream));
+            through.map(span => span.attributes['query.rows']).should.deep.equal([1, 1]);
+        });
+
+        it('should record the error on failed spans', async function () {
+            const tracer = new query.MemoryTracer();
+            const error = new Error('Ooops!');
+
+            await query('select * from accounts')
+                .handler(() => {
+                    throw error;
+                })
+                .tracer(tracer)
+                .execute()
+                .should.be.rejectedWith(query.HandlerError);
+
+            tracer.find('query.handler')[0].error.should.equal(error);
+            tracer.find('query.execute')[0].error.cause.should.equal(error);
+        });
+
+        it('should end open spans when the result is cancelled', async function () {
+            const tracer = new query.MemoryTracer();
+            const result = await query('select * from accounts')
+                .handler((q, r) => r(people))
+                .through(s => s.map(_.identity))
+                .tracer(tracer)
+                .execute();
+
+            result.cancel();
+            await result.toArray();
+
+            tracer.spans.forEach(span => should.exist(span.endedAt));
+        });
+
+        it('should use the global tracer', async function () {
+            const tracer = new query.MemoryTracer();
+            query.tracer(tracer);
+
+            try {
+                await query('select * from accounts')
+                    .handler((q, r) => r(people))
+                    .toArray();
+            } finally {
+                query.tracer(null);
+            }
+
+            tracer.find('query.execute').should.have.lengthOf(1);
+        });
+    });
+
+    describe('signal()', function () {
+        it('should cancel the query when the signal is aborted', function () {
+            const controller = new AbortController();
+            const spy = sinon.spy();
+            const q = query('select * from accounts')
+                .handler(q => {
+                    q.on('cancel', spy);
+                    controller.abort('client disconnected');
+                })
+                .signal(controller.signal)
+                .build();
+
+            return q.execute()
+                .then(() => {
+                    spy.should.have.been.calledWith('client disconnected');
+                    q.cancelled.should.be.true;
+                    q.cancelReason.should.equal('client disconnected');
+                });
+        });
+
+        it('should skip the handler if the signal is already aborted', function () {
+            const controller = new AbortController();
+            const spy = sinon.spy();
+            controller.abort();
+
+            return query('select * from accounts')
+                .handler(spy)
+                .signal(controller.signal)
+                .toArray()
+                .then(arr => {
+                    arr.should.have.lengthOf(0);
+                    spy.should.not.have.been.called;
+                });
+        });
+
+        it('should accept a signal passed to execute()', function () {
+            const controller = new AbortController();
+            const q = query('select * from accounts')
+                .handler(q => controller.abort('stop'))
+                .build();
+
+            return q.execute({ signal: controller.signal, state: 'NC' })
+                .then(() => {
+                    q.cancelReason.should.equal('stop');
+                    q.params.should.deep.equal({ state: 'NC' });
+                });
+        });
+
+        it('should stop following the signal once the query finishes', async function () {
+            const controller = new AbortController();
+            const builder = query('select * from accounts').handler((q, r) => r(people)).signal(controller.signal);
+            const failing = query('select * from accounts').handler(() => P.reject(new Error('down')));
+
+            for (let i = 0; i < 12; i++) await builder.toArray();
+            await failing.execute({ signal: controller.signal }).catch(_.noop);
+
+            events.getEventListeners(controller.signal, 'abort').should.have.lengthOf(0);
+        });
+
+        it('should abort the query signal passed to handlers on cancel', function () {
+            let signal;
+
+            return query('select * from accounts')
+                .handler(q => {
+                    signal = q.signal;
+                    signal.aborted.should.be.false;
+                    q.cancel('done');
+                })
+                .execute()
+                .then(() => {
+                    signal.aborted.should.be.true;
+                    signal.reason.should.equal('done');
+                });
+        });
+    });
+
     describe('field()', function () {
         it('should configure the query field defaults', function () {
             return query('select * from foo')
@@ -264,9 +615,10 @@ describe('QueryBuilder', function () {
                 })
                 .finally(() => {
                     should.exist(thrown);
-                    thrown.should.equal(error);
+                    thrown.should.be.an.instanceOf(query.HandlerError);
+                    thrown.cause.should.equal(error);
                     spy.should.have.been.calledOnce;
-                    spy.should.have.been.calledWith(error);
+                    spy.should.have.been.calledWith(thrown);
                 });
         });
 
@@ -288,9 +640,10 @@ describe('QueryBuilder', function () {
                 })
                 .finally(() => {
                     should.exist(thrown);
-                    thrown.should.equal(error);
+                    thrown.should.be.an.instanceOf(query.HandlerError);
+                    thrown.cause.should.equal(error);
                     spy.should.have.been.calledOnce;
-                    spy.should.have.been.calledWith(error);
+                    spy.should.have.been.calledWith(thrown);
                 });
         });
 
@@ -320,6 +673,112 @@ describe('QueryBuilder', function () {
         });
     });
 
+    describe('async handlers', function () {
+        it('should reply with the value resolved by a promise returning handler', function () {
+            return query('select * from accounts')
+                .handler(async () => people)
+                .toArray()
+                .then(arr => arr.should.deep.equal(people));
+        });
+
+        it('should allow a promise returning handler to configure fields through reply', function () {
+            return query('select * from accounts')
+                .handler(async (q, reply) => {
+                    await P.delay(10);
+                    return reply(people).fields(['first', 'last']);
+                })
+                .execute()
+                .then(qr => {
+                    qr.fields.should.have.keys(['first', 'last']);
+                    return qr.toArray();
+                })
+                .then(arr => arr.should.deep.equal(people));
+        });
+
+        it('should wait for a reply from a promise returning handler that resolves to undefined', function () {
+            return query('select * from accounts')
+                .handler(async (q, reply) => {
+                    await P.delay(5);
+                    setTimeout(() => reply(people), 10);
+                })
+                .toArray()
+                .then(arr => arr.should.deep.equal(people));
+        });
+
+        it('should handle a rejection like a reply error', function () {
+            const error = new Error('Async error');
+            const errorHandler = sinon.spy();
+            const spy = sinon.spy();
+
+            return query('select * from accounts')
+                .handler(async () => {
+                    await P.delay(10);
+                    throw error;
+                })
+                .error(errorHandler)
+                .on('queryError', spy)
+                .execute()
+                .should.be.rejectedWith(query.HandlerError, 'Async error')
+                .then(() => {
+                    errorHandler.firstCall.args[0].cause.should.equal(error);
+                    spy.should.have.been.calledWith(errorHandler.firstCall.args[0]);
+                });
+        });
+
+        it('should stream an async generator handler', function () {
+            return query('select * from accounts')
+                .handler(async function* () {
+                    for (const person of people) {
+                        await P.delay(5);
+                        yield person;
+                    }
+                })
+                .toArray()
+                .then(arr => arr.should.deep.equal(people));
+        });
+
+        it('should stream an async iterable resolved by a handler', function () {
+            async function* rows() {
+                yield* people;
+            }
+
+            return query('select * from accounts')
+                .handler(async () => rows())
+                .toArray()
+                .then(arr => arr.should.deep.equal(people));
+        });
+
+        it('should return the iterator when the stream ends early', function () {
+            const spy = sinon.spy();
+
+            return query('select * from accounts')
+                .handler(async function* () {
+                    try {
+                        for (let i = 0; ; i++) yield { i };
+                    } finally {
+                        spy();
+                    }
+                })
+                .limit(3)
+                .toArray()
+                .then(arr => {
+                    arr.should.have.lengthOf(3);
+                    return P.delay(10);
+                })
+                .then(() => spy.should.have.been.called);
+        });
+
+        it('should propagate errors thrown by an async generator', function () {
+            return query('select * from accounts')
+                .handler(async function* () {
+                    yield people[0];
+                    throw new Error('Generator error');
+                })
+                .toArray()
+                .should.be.rejectedWith('Generator error');
+        });
+    });
+
     describe('stream()', function () {
         it('should return a stream', function (done) {
             const stream = query('select * from accounts')
@@ -347,6 +806,57 @@ describe('QueryBuilder', function () {
         });
     });
 
+    describe('[Symbol.asyncIterator]()', function () {
+        it('should iterate the results', async function () {
+            const builder = query('select * from accounts')
+                .handler((q, r) => r(people));
+
+            const data = [];
+            for await (const person of builder) data.push(person);
+            data.should.deep.equal(people);
+        });
+    });
+
+    describe('batches()', function () {
+        it('should stream the results in batches', async function () {
+            const batches = [];
+            const builder = query('select * from foo')
+                .handler((q, r) => r(_.range(5)));
+
+            for await (const batch of builder.batches(null, 2)) batches.push(batch);
+            batches.should.deep.equal([[0, 1], [2, 3], [4]]);
+        });
+
+        it('should cancel the query when iteration ends early', async function () {
+            const q = query('select * from foo')
+                .handler((q, reply) => {
+                    let i = 0;
+                    reply((push, next) => {
+                        push(null, i++);
+                        next();
+                    });
+                })
+                .build();
+
+            for await (const batch of q.batches(10)) {
+                batch.should.deep.equal(_.range(10));
+                break;
+            }
+
+            q.cancelled.should.be.true;
+        });
+
+        it('should require the size to be a positive integer', function () {
+            const handler = sinon.spy((q, r) => r([]));
+            const q = query('select * from foo').handler(handler).build();
+
+            (() => q.batches()).should.throw('size must be a positive integer');
+            (() => q.batches(0)).should.throw('size must be a positive integer');
+            (() => q.batches(2.5)).should.throw('size must be a positive integer');
+            handler.should.not.have.been.called;
+        });
+    });
+
     describe('pre()', function () {
         it('should invoke pre before calling handler', function () {
             const spy = sinon.spy();
@@ -361,6 +871,89 @@ describe('QueryBuilder', function () {
                 .pre(spy)
                 .execute();
         });
+
+        it('should skip the handler when a pre handler replies', async function () {
+            const handler = sinon.spy();
+            const post = sinon.spy();
+            const next = sinon.spy();
+
+            const result = await query('select * from accounts')
+                .handler(handler)
+                .pre((q, reply) => {
+                    reply(people).fields(['first', 'last']);
+                })
+                .pre(next)
+                .post(post)
+                .through(s => s.map(p => p.first))
+                .execute();
+
+            handler.should.not.have.been.called;
+            next.should.not.have.been.called;
+            post.should.have.been.calledWith(result);
+            result.source.should.equal('pre');
+            result.fields.should.deep.equal({ first: { position: 0 }, last: { position: 1 } });
+            (await result.toArray()).should.deep.equal(['Brad', 'Hank']);
+        });
+
+        it('should skip the handler when a pre handler resolves to a QueryResult', async function () {
+            const handler = sinon.spy();
+
+            const result = await query('select * from accounts')
+                .handler(handler)
+                .pre(q => P.delay(1).then(() => new QueryResult(q, people.slice(1))))
+                .execute();
+
+            handler.should.not.have.been.called;
+            result.source.should.equal('pre');
+            (await result.toArray()).should.deep.equal(people.slice(1));
+        });
+
+        it('should wrap a QueryResult of another query resolved by a pre handler', async function () {
+            const cached = new QueryResult(query('select * from accounts').handler(_.noop).build(), people);
+            cached.fields = { first: { position: 0 } };
+
+            const result = await query('select * from accounts')
+                .handler((q, r) => r([]))
+                .pre(() => cached)
+                .through(s => s.map(p => p.last))
+                .limit(1)
+                .execute();
+
+            result.should.not.equal(cached);
+            result.query.should.not.equal(cached.query);
+            result.source.should.equal('pre');
+            should.not.exist(cached.source);
+            result.fields.should.deep.equal({ first: { position: 0 } });
+            (await result.toArray()).should.deep.equal(['Leupen']);
+        });
+
+        it('should not reapply the clauses and through handlers of a memoized result', async function () {
+            let memo;
+            const handler = sinon.spy((q, r) => r([{ name: 'Brad', age: 40 }, { name: 'Tim', age: 12 }]));
+            const builder = query('select * from accounts')
+                .handler(handler)
+                .pre(() => memo)
+                .where({ age: { gt: 18 } })
+                .select(['name'])
+                .through(s => s.map(p => ({ name: `${p.name}!` })));
+
+            memo = await builder.execute();
+            const result = await builder.execute();
+
+            handler.should.have.been.calledOnce;
+            result.source.should.equal('pre');
+            (await result.toArray()).should.deep.equal([{ name: 'Brad!' }]);
+        });
+
+        it('should ignore any other value returned by a pre handler', async function () {
+            const result = await query('select * from accounts')
+                .handler((q, r) => r(people))
+                .pre(q => q.option('foo', 'bar'))
+                .execute();
+
+            should.not.exist(result.source);
+            (await result.toArray()).should.deep.equal(people);
+        });
     });
 
     describe('post()', function () {
@@ -415,13 +1008,13 @@ describe('QueryBuilder', function () {
                 })
                 .finally(() => {
                     should.exist(thrown);
-                    thrown.should.equal(error);
+                    thrown.cause.should.equal(error);
                     handler0.should.have.been.calledOnce;
                     handler0.should.have.been.calledWith(thrown);
                     handler1.should.have.been.calledOnce;
                     handler1.should.have.been.calledWith(thrown);
                     return run()
-                        .should.be.rejectedWith(error);
+                        .should.be.rejectedWith(query.HandlerError);
                 });
         });
 
@@ -447,13 +1040,116 @@ describe('QueryBuilder', function () {
                 })
                 .finally(() => {
                     should.exist(thrown);
-                    thrown.should.equal(error);
+                    thrown.cause.should.equal(error);
                     handler0.should.have.been.calledOnce;
                     handler0.should.have.been.calledWith(thrown);
                     handler1.should.have.been.calledOnce;
                     handler1.should.have.been.calledWith(thrown);
                     return run()
-                        .should.be.rejectedWith(error);
+                        .should.be.rejectedWith(query.HandlerError);
+                });
+        });
+        it('should recover with fallback data returned by an error handler', async function () {
+            const errorSpy = sinon.spy();
+            const recoveredSpy = sinon.spy();
+            const skipped = sinon.spy();
+
+            const result = await query('select * from accounts')
+                .handler((q, r) => r(new Error('Warehouse down')))
+                .error(() => P.delay(1).then(() => ({ fallback: people })))
+                .error(skipped)
+                .on('queryError', errorSpy)
+                .on('queryRecovered', recoveredSpy)
+                .execute();
+
+            result.recoveredFrom.should.be.an.instanceOf(query.HandlerError);
+            result.recoveredFrom.message.should.equal('Warehouse down');
+            skipped.should.not.have.been.called;
+            errorSpy.should.not.have.been.called;
+            recoveredSpy.should.have.been.calledWith(result.recoveredFrom, result);
+            should.not.exist(result.query.cancelled);
+            (await result.toArray()).should.deep.equal(people);
+        });
+
+        it('should recover with a fallback handler returned by an error handler', async function () {
+            const q = query('select * from accounts')
+                .handler(() => {
+                    throw new Error('Warehouse down');
+                })
+                .error(() => ({ fallback: (q, reply) => reply(people.slice(1)).field('first', f => f.label('First')) }))
+                .through(s => s.map(p => p.first))
+                .build();
+
+            const result = await q.execute();
+
+            q.result.should.equal(result);
+            result.fields.first.label.should.equal('First');
+            (await result.toArray()).should.deep.equal(['Hank']);
+        });
+
+        it('should recover with a QueryResult returned by an error handler after a timeout', async function () {
+            const lastKnownGood = await query('select * from accounts')
+                .handler((q, r) => r(people).fields(['first', 'last']))
+                .execute();
+
+            const result = await query('select * from accounts')
+                .handler(_.noop)
+                .timeout(10)
+                .select('first')
+                .error(() => ({ fallback: lastKnownGood }))
+                .execute();
+
+            result.should.not.equal(lastKnownGood);
+            result.recoveredFrom.should.be.an.instanceOf(query.QueryTimeoutError);
+            should.not.exist(lastKnownGood.recoveredFrom);
+            result.fields.should.have.all.keys('first');
+            lastKnownGood.fields.should.have.all.keys('first', 'last');
+            (await result.toArray()).should.deep.equal([{ first: 'Brad' }, { first: 'Hank' }]);
+        });
+
+        it('should not reapply the through handlers of a last known good result of the same builder', async function () {
+            let lastKnownGood;
+            const builder = query('select * from accounts')
+                .handler((q, r) => r(lastKnownGood ? new Error('Warehouse down') : [1, 2]))
+                .error(() => ({ fallback: lastKnownGood }))
+                .through(s => s.map(n => n * 10));
+
+            lastKnownGood = await builder.execute();
+            const result = await builder.execute();
+
+            result.recoveredFrom.message.should.equal('Warehouse down');
+            (await result.toArray()).should.deep.equal([10, 20]);
+        });
+
+        it('should try the next error handler when a fallback handler fails', async function () {
+            const result = await query('select * from accounts')
+                .handler((q, r) => r(new Error('Warehouse down')))
+                .error(() => ({ fallback: (q, r) => r(new Error('Replica down')) }))
+                .error(() => ({ fallback: people }))
+                .execute();
+
+            result.recoveredFrom.message.should.equal('Warehouse down');
+            (await result.toArray()).should.deep.equal(people);
+        });
+
+        it('should ignore other values returned by error handlers', function () {
+            const spy = sinon.spy();
+            const recovered = sinon.spy();
+
+            return query('select * from accounts')
+                .handler((q, r) => r(new Error('Warehouse down')))
+                .error(() => true)
+                .error(() => new Writable({ write: (chunk, encoding, done) => done() }))
+                .error((err, q) => q)
+                .error(() => people)
+                .error(() => (q, r) => r(people))
+                .on('queryError', spy)
+                .on('queryRecovered', recovered)
+                .execute()
+                .should.be.rejectedWith(query.HandlerError)
+                .then(() => {
+                    spy.should.have.been.calledOnce;
+                    recovered.should.not.have.been.called;
                 });
         });
     });
@@ -511,6 +1207,62 @@ describe('QueryBuilder', function () {
         });
     });
 
+    describe('build()', function () {
+        it('should not leak params into subsequent builds', function () {
+            const builder = query('select * from accounts').handler((q, r) => r(people));
+
+            builder.build({ state: 'NC' }).params.should.deep.equal({ state: 'NC' });
+            builder.build().params.should.deep.equal({});
+        });
+
+        it('should not share the definition with the query', function () {
+            const builder = query('select * from accounts').handler((q, r) => r(people));
+            const q = builder.build();
+
+            q.field('first').label('First Name');
+            q.option('foo', 'bar');
+            q.postHandlers.push(_.noop);
+
+            builder.defn.fields.should.deep.equal({});
+            builder.defn.options.should.deep.equal({});
+            builder.defn.postHandlers.should.have.lengthOf(0);
+        });
+    });
+
+    describe('clone()', function () {
+        it('should copy the definition', function () {
+            const handler = (q, r) => r(people);
+            const listener = _.noop;
+            const builder = query({ sql: 'select * from accounts' })
+                .handler(handler)
+                .pre(_.noop)
+                .on('execute', listener)
+                .field('first', f => f.label('First Name'));
+
+            const clone = builder.clone();
+
+            clone.should.not.equal(builder);
+            clone.defn.should.deep.equal(builder.defn);
+            clone.defn.handler.should.equal(handler);
+            clone.defn.payload.should.not.equal(builder.defn.payload);
+        });
+
+        it('should be configurable independently', function () {
+            const builder = query('select * from accounts')
+                .handler((q, r) => r(people))
+                .field('first', f => f.label('First Name'));
+
+            builder.clone()
+                .pre(_.noop)
+                .on('execute', _.noop)
+                .field('first', f => f.label('Given Name'));
+
+            builder.defn.preHandlers.should.have.lengthOf(0);
+            builder.defn.listeners.should.have.lengthOf(0);
+            builder.defn.fields.first.label.should.equal('First Name');
+        });
+    });
+
     describe('configure()', function () {
         it('should configure the query', function () {
             const q = query()
@@ -578,6 +1330,68 @@ describe('Query', function () {
         });
     });
 
+    describe('rerun()', function () {
+        it('should execute the query again', async function () {
+            const handler = sinon.spy((q, r) => r([q.params]));
+            const q = query('select * from foo')
+                .handler(handler)
+                .build();
+
+            const first = await q.execute({ state: 'NC' });
+            const firstInvokedAt = q.handlerInvokedAt;
+            await P.delay(5);
+            const second = await q.rerun({ state: 'SC' });
+
+            handler.should.have.been.calledTwice;
+            second.should.not.equal(first);
+            q.result.should.equal(second);
+            q.handlerInvokedAt.should.be.above(firstInvokedAt);
+            (await second.toArray()).should.deep.equal([{ state: 'SC' }]);
+        });
+
+        it('should run a cancelled query again', async function () {
+            const q = query('select * from foo')
+                .handler((q, r) => r(people))
+                .build();
+
+            q.cancel();
+            (await q.toArray()).should.have.lengthOf(0);
+
+            const result = await q.rerun();
+            should.not.exist(q.cancelled);
+            (await result.toArray()).should.deep.equal(people);
+        });
+
+        it('should cancel an execution still in flight', async function () {
+            const q = query('select * from foo')
+                .handler((q, r) => setTimeout(() => r([q.params]), 10))
+                .build();
+
+            const first = q.execute({ state: 'NC' }).catch(err => err);
+            const result = await q.rerun({ state: 'SC' });
+            (await first).should.be.an.instanceOf(query.QueryCancelledError);
+            (await first).reason.should.equal('rerun');
+            await P.delay(20);
+
+            q.result.should.equal(result);
+            (await result.toArray()).should.deep.equal([{ state: 'SC' }]);
+        });
+
+        it('should not leave listeners behind across reruns and retries', async function () {
+            let attempts = 0;
+            const q = query('select * from foo')
+                .handler((q, r) => ++attempts % 2 ? r(new Error('flaky')) : r(people))
+                .retry(2)
+                .build();
+            const listeners = q.listenerCount('cancel');
+
+            for (let i = 0; i < 12; i++) await q.rerun().then(r => r.toArray());
+
+            attempts.should.equal(24);
+            q.listenerCount('cancel').should.equal(listeners);
+        });
+    });
+
     describe('use()', function () {
         it('should invoke the plugin', function () {
             const spy = sinon.spy();
@@ -614,6 +1428,19 @@ describe('Query', function () {
         });
     });
 
+    describe('[Symbol.asyncIterator]()', function () {
+        it('should execute the query and iterate the results', async function () {
+            const q = query('select * from foo')
+                .handler((q, r) => r(people))
+                .build();
+
+            const data = [];
+            for await (const person of q) data.push(person);
+            data.should.deep.equal(people);
+            q.result.should.be.an.instanceOf(QueryResult);
+        });
+    });
+
     describe('progress()', function () {
         it('should emit a progress event', function () {
             const spy = sinon.spy();
@@ -635,6 +1462,63 @@ describe('Query', function () {
                     spy.thirdCall.args.should.have.members([3]);
                 });
         });
+
+        it('should emit structured progress events while streaming', async function () {
+            const spy = sinon.spy();
+
+            await query('select * from foo')
+                .handler((q, r) => r(people).selected(2))
+                .progressInterval(0)
+                .on('progress', spy)
+                .toArray();
+
+            const events = spy.args.map(args => args[0]);
+            events.should.have.length.of.at.least(2);
+            _.last(events).should.include({ rows: 2, selected: 2, percent: 100 });
+            _.last(events).elapsed.should.be.at.least(0);
+            events[0].should.include({ rows: 1, percent: 50 });
+        });
+
+        it('should throttle progress events', async function () {
+            const spy = sinon.spy();
+
+            await query('select * from foo')
+                .handler((q, r) => r(_.range(100).map(i => ({ i }))))
+                .progressInterval(10000)
+                .on('progress', spy)
+                .toArray();
+
+            spy.should.have.been.calledOnce;
+            spy.firstCall.args[0].should.include({ rows: 100 });
+            should.not.exist(spy.firstCall.args[0].percent);
+        });
+
+        it('should merge progress reported by the handler', async function () {
+            const spy = sinon.spy();
+
+            await query('select * from foo')
+                .handler((q, r) => {
+                    q.progress({ stage: 'fetching' });
+                    r(people);
+                })
+                .on('progress', spy)
+                .toArray();
+
+            spy.firstCall.args[0].should.deep.equal({ stage: 'fetching' });
+            spy.lastCall.args[0].should.include({ stage: 'fetching', rows: 2 });
+        });
+
+        it('should not emit progress events when disabled', async function () {
+            const spy = sinon.spy();
+
+            await query('select * from foo')
+                .handler((q, r) => r(people))
+                .progressInterval(false)
+                .on('progress', spy)
+                .toArray();
+
+            spy.should.not.have.been.called;
+        });
     });
 });
 
@@ -713,7 +1597,8 @@ describe('QueryResult', function () {
 
             pipelineSuccessSpy.should.not.have.been.called;
             pipelineErrorSpy.should.have.been.calledOnce;
-            pipelineErrorSpy.should.have.been.calledWithExactly(sourceError);
+            pipelineErrorSpy.firstCall.args[0].should.be.an.instanceOf(query.StreamError);
+            pipelineErrorSpy.firstCall.args[0].cause.should.equal(sourceError);
             recNum.should.equal(10);
             queryResultEndSpy.should.have.been.calledOnce;
         });
@@ -746,7 +1631,8 @@ describe('QueryResult', function () {
                 caught = err;
             }
             should.exist(caught);
-            caught.should.deep.equal(sourceError);
+            caught.should.be.an.instanceOf(query.StreamError);
+            caught.cause.should.equal(sourceError);
             recNum.should.equal(10);
         });
     });
@@ -765,6 +1651,214 @@ describe('QueryResult', function () {
         });
     });
 
+    describe('stats()', function () {
+        it('should summarize the execution and stream', async function () {
+            const result = await query('select * from person')
+                .handler((q, r) => r(people))
+                .through(s => s.filter(p => p.first === 'Brad'))
+                .execute();
+
+            await result.toArray();
+            const stats = result.stats();
+
+            stats.durations.should.have.keys(['pre', 'handler', 'post', 'stream', 'total']);
+            stats.durations.total.should.be.at.least(0);
+            stats.rows.should.deep.equal({ source: 2, emitted: 1 });
+            stats.timeToFirstRow.should.be.at.least(0);
+            stats.truncated.should.be.false;
+            stats.cancelled.should.be.false;
+        });
+
+        it('should report a stream truncated by the limit', async function () {
+            const result = await query('select * from person')
+                .handler((q, r) => r(people))
+                .limit(1)
+                .execute();
+
+            await result.toArray();
+            result.stats().truncated.should.be.true;
+        });
+
+        it('should not report a stream that fits within the limit as truncated', async function () {
+            const exact = await query('select * from person').handler((q, r) => r(people)).limit(2).execute();
+            const none = await query('select * from person').handler((q, r) => r([])).limit(0).execute();
+
+            (await exact.toArray()).should.deep.equal(people);
+            (await none.toArray()).should.deep.equal([]);
+            exact.stats().truncated.should.be.false;
+            none.stats().truncated.should.be.false;
+        });
+
+        it('should end the stream at the limit without waiting for another row', async function () {
+            let pulled = 0;
+            const tail = (push, next) => {
+                if (pulled++ < 2) {
+                    push(null, pulled);
+                    next();
+                }
+            };
+
+            const result = await query('select * from person').handler((q, r) => r(tail)).limit(2).execute();
+            const none = await query('select * from person').handler((q, r) => r(tail).selected(3)).limit(0).execute();
+
+            (await result.toArray()).should.deep.equal([1, 2]);
+            (await none.toArray()).should.deep.equal([]);
+            pulled.should.equal(3);
+            result.stats().truncated.should.be.false;
+            none.stats().truncated.should.be.true;
+        });
+
+        it('should report a cancelled stream', async function () {
+            const result = await query('select * from person')
+                .handler((q, r) => r(people))
+                .execute();
+
+            result.cancel();
+            await result.toArray();
+            result.stats().cancelled.should.be.true;
+        });
+
+        it('should leave the durations of incomplete phases undefined', async function () {
+            const result = await query('select * from person')
+                .handler((q, r) => r(people))
+                .execute();
+
+            should.not.exist(result.stats().durations.stream);
+        });
+
+        it('should emit a stats event when the stream ends', async function () {
+            const spy = sinon.spy();
+
+            await query('select * from person')
+                .handler((q, r) => r(people))
+                .on('stats', spy)
+                .toArray();
+
+            spy.should.have.been.calledOnce;
+            spy.firstCall.args[0].rows.should.deep.equal({ source: 2, emitted: 2 });
+        });
+    });
+
+    describe('[Symbol.asyncIterator]()', function () {
+        it('should iterate the data', async function () {
+            const result = await query('select * from person')
+                .handler((q, r) => r(people))
+                .execute();
+
+            const data = [];
+            for await (const person of result) data.push(person);
+            data.should.deep.equal(people);
+        });
+
+        it('should cancel the result and emit an end event via shim when iteration ends early', async function () {
+            const spy = sinon.spy();
+            const result = await query()
+                .handler((q, reply) => {
+                    let i = 0;
+                    reply((push, next) => {
+                        push(null, i++);
+                        next();
+                    }).on('end', spy);
+                })
+                .execute();
+
+            for await (const i of result) {
+                if (i >= 2) break;
+            }
+
+            result.cancelled.should.be.true;
+            spy.should.have.been.called;
+        });
+
+        it('should reject on an in-stream error', async function () {
+            const result = await query()
+                .handler((q, r) => r($([people[0]]).concat($.fromError(new Error('Stream error')))))
+                .execute();
+
+            const data = [];
+            let caught;
+            try {
+                for await (const person of result) data.push(person);
+            } catch (err) {
+                caught = err;
+            }
+
+            should.exist(caught);
+            caught.message.should.equal('Stream error');
+            data.should.deep.equal([people[0]]);
+        });
+    });
+
+    describe('batches()', function () {
+        it('should emit the final partial batch', function () {
+            return query('select * from foo')
+                .handler((q, r) => r(_.range(5)))
+                .execute()
+                .then(result => result.batches(3).collect().toPromise(P))
+                .then(batches => batches.should.deep.equal([[0, 1, 2], [3, 4]]));
+        });
+
+        it('should emit a partial batch after maxWaitMs', async function () {
+            const result = await query('select * from foo')
+                .handler((q, reply) => {
+                    let i = 0;
+                    reply((push, next) => {
+                        if (i === 2) return setTimeout(() => push(null, $.nil), 50);
+                        push(null, i++);
+                        next();
+                    });
+                })
+                .execute();
+
+            const iterator = result.batches(10, { maxWaitMs: 10 })[Symbol.asyncIterator]();
+            (await iterator.next()).value.should.deep.equal([0, 1]);
+            (await iterator.next()).done.should.be.true;
+        });
+
+        it('should respect backpressure', async function () {
+            let pulled = 0;
+            const result = await query('select * from foo')
+                .handler((q, reply) => {
+                    reply((push, next) => {
+                        push(null, pulled++);
+                        next();
+                    });
+                })
+                .execute();
+
+            const iterator = result.batches(5)[Symbol.asyncIterator]();
+            (await iterator.next()).value.should.deep.equal(_.range(5));
+            await P.delay(10);
+            const buffered = pulled;
+            await P.delay(10);
+            pulled.should.equal(buffered);
+            await iterator.return();
+        });
+
+        it('should cancel the result when the stream is destroyed', async function () {
+            const spy = sinon.spy();
+            const result = await query('select * from foo')
+                .handler((q, r) => r(_.range(5)).on('end', spy))
+                .execute();
+
+            result.batches(2).destroy();
+            await P.delay(1);
+
+            result.cancelled.should.be.true;
+            spy.should.have.been.called;
+        });
+
+        it('should require the size to be a positive integer', async function () {
+            const result = await query('select * from foo')
+                .handler((q, r) => r(_.range(5)))
+                .execute();
+
+            (() => result.batches()).should.throw('size must be a positive integer');
+            (() => result.batches(-1)).should.throw('size must be a positive integer');
+            (await result.toArray()).should.deep.equal(_.range(5));
+        });
+    });
+
     describe('cancel()', function () {
         it('should emit an end event (delegated from internal passthrough) in the handler via shim if called on the QueryResult after handler execution and before streaming', function () {
             const spy = sinon.spy();
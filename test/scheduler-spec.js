@@ -0,0 +1,166 @@
+'use strict';
+
+const _ = require('lodash');
+const query = require('../lib');
+const chai = require('chai');
+const sinon = require('sinon');
+const P = require('bluebird');
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('Scheduler', function () {
+    // a handler that replies when told to, tracking how many handlers are running
+    function deferredHandler(state) {
+        return function (query, reply) {
+            state.running++;
+            state.max = Math.max(state.max, state.running);
+            state.replies.push(() => {
+                state.running--;
+                reply([query.payload]);
+            });
+        };
+    }
+
+    function flush(state) {
+        return P.delay(10).then(() => {
+            state.replies.splice(0).forEach(r => r());
+            return P.delay(10);
+        });
+    }
+
+    it('should cap the number of concurrent handlers', async function () {
+        const state = { running: 0, max: 0, replies: [] };
+        const scheduler = new query.Scheduler({ concurrency: 2 });
+        const builder = query().handler(deferredHandler(state)).scheduler(scheduler);
+
+        const promises = _.range(5).map(() => builder.build().execute());
+
+        await P.delay(10);
+        state.running.should.equal(2);
+        scheduler.queued.should.equal(3);
+
+        while (state.replies.length) await flush(state);
+        await P.all(promises);
+
+        state.max.should.equal(2);
+        scheduler.running.should.equal(0);
+    });
+
+    it('should cap the number of concurrent handlers per user', async function () {
+        const state = { running: 0, max: 0, replies: [] };
+        const scheduler = new query.Scheduler({ concurrency: 3, perUser: 1 });
+        const started = [];
+        const handler = deferredHandler(state);
+        const run = user => query(user)
+            .handler((q, r) => {
+                started.push(q.user);
+                handler(q, r);
+            })
+            .user(user)
+            .scheduler(scheduler)
+            .execute();
+
+        const promises = [run('brad'), run('brad'), run('brad'), run('hank')];
+
+        await P.delay(10);
+        started.should.deep.equal(['brad', 'hank']);
+
+        while (state.replies.length) await flush(state);
+        await P.all(promises);
+
+        started.should.deep.equal(['brad', 'hank', 'brad', 'brad']);
+    });
+
+    it('should start queued queries in order of priority', async function () {
+        const state = { running: 0, max: 0, replies: [] };
+        const scheduler = new query.Scheduler({ concurrency: 1 });
+        const started = [];
+        const handler = deferredHandler(state);
+        const run = (name, priority) => query(name)
+            .handler((q, r) => {
+                started.push(q.payload);
+                handler(q, r);
+            })
+            .priority(priority)
+            .scheduler(scheduler)
+            .execute();
+
+        const promises = [run('first', 0), run('low', 0), run('high', 10), run('medium', 5)];
+
+        await P.delay(10);
+        while (state.replies.length) await flush(state);
+        await P.all(promises);
+
+        started.should.deep.equal(['first', 'high', 'medium', 'low']);
+    });
+
+    it('should emit a queued event with the queue position', async function () {
+        const state = { running: 0, max: 0, replies: [] };
+        const scheduler = new query.Scheduler({ concurrency: 1 });
+        const builder = query().handler(deferredHandler(state)).scheduler(scheduler);
+        const spy = sinon.spy();
+
+        const first = builder.build();
+        const second = builder.build().on('queued', spy);
+        const promises = [first.execute(), second.execute()];
+
+        await P.delay(10);
+        spy.should.have.been.calledOnce;
+        spy.should.have.been.calledWith(1);
+
+        while (state.replies.length) await flush(state);
+        await P.all(promises);
+    });
+
+    it('should remove a cancelled query from the queue without invoking its handler', async function () {
+        const state = { running: 0, max: 0, replies: [] };
+        const scheduler = new query.Scheduler({ concurrency: 1 });
+        const handler = sinon.spy(deferredHandler(state));
+        const builder = query().handler(handler).scheduler(scheduler);
+
+        const first = builder.build();
+        const second = builder.build();
+        const promises = [first.execute(), second.execute()];
+
+        await P.delay(10);
+        scheduler.queued.should.equal(1);
+        second.cancel();
+        scheduler.queued.should.equal(0);
+
+        await flush(state);
+        const results = await P.all(promises);
+
+        handler.should.have.been.calledOnce;
+        (await results[1].toArray()).should.have.lengthOf(0);
+    });
+
+    it('should release the slot of a failed handler', async function () {
+        const scheduler = new query.Scheduler({ concurrency: 1 });
+
+        await query()
+            .handler(() => {
+                throw new Error('Ooops!');
+            })
+            .scheduler(scheduler)
+            .execute()
+            .should.be.rejectedWith('Ooops!');
+
+        scheduler.running.should.equal(0);
+    });
+
+    it('should use the global scheduler', async function () {
+        const scheduler = new query.Scheduler({ concurrency: 1 });
+        const spy = sinon.spy(scheduler, 'acquire');
+        query.scheduler(scheduler);
+
+        try {
+            await query().handler((q, r) => r([])).execute();
+        } finally {
+            query.scheduler(null);
+        }
+
+        spy.should.have.been.calledOnce;
+    });
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+'use strict';
+
+const _ = require('lodash');
+const joi = require('joi');
+const query = require('../lib');
+const chai = require('chai');
+const sinon = require('sinon');
+const people = [{ first: 'Brad', last: 'Leupen' }, { first: 'Hank', last: 'Leupen' }];
+
+chai.should();
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+describe('serialization', function () {
+    function people$ (q, reply) {
+        reply(people.filter(p => p.first === q.params.first));
+    }
+
+    const auth = { name: 'auth', register: (q, options) => q.plugins.auth.role = options.role };
+    const upper = s => s.map(p => _.assign({}, p, { last: p.last.toUpperCase() }));
+    const builder = () => query('select * from people where first = :first')
+        .language('sql')
+        .limit(10)
+        .field('first', f => f.label('First Name'))
+        .option('schema', 'hr')
+        .params({ first: { type: 'string', required: true } })
+        .handler(people$)
+        .use(auth, { role: 'admin' })
+        .through(upper, { name: 'upper', order: 1 });
+
+    const registry = { handlers: { people$: people$ }, plugins: { auth: auth }, interceptors: { upper: upper } };
+
+    afterEach(function () {
+        query.removeHandler('sql');
+    });
+
+    it('should serialize a versioned, JSON-safe definition', function () {
+        const json = builder().toJSON();
+
+        JSON.parse(JSON.stringify(builder())).should.deep.equal(json);
+        json.should.deep.equal({
+            version: 1,
+            payload: 'select * from people where first = :first',
+            language: 'sql',
+            limit: 10,
+            fields: { first: { label: 'First Name' } },
+            options: { schema: 'hr' },
+            dataTypes: {},
+            params: { first: { type: 'string', required: true } },
+            handler: 'people$',
+            plugins: [{ name: 'auth', options: { role: 'admin' } }],
+            interceptors: { through: [{ name: 'upper', order: 1 }] }
+        });
+    });
+
+    it('should rebuild an executable builder', async function () {
+        const rebuilt = query.fromJSON(JSON.parse(JSON.stringify(builder())), registry);
+        const q = rebuilt.build({ first: 'Hank' });
+
+        rebuilt.toJSON().should.deep.equal(builder().toJSON());
+        (await q.toArray()).should.deep.equal([{ first: 'Hank', last: 'LEUPEN' }]);
+        q.plugins.auth.should.deep.equal({ role: 'admin' });
+    });
+
+    it('should reference handlers registered for a language by language', function () {
+        const handler = sinon.spy((q, reply) => reply(people));
+        query.registerHandler('sql', handler);
+
+        const json = query('select * from people').language('sql').handler(handler).toJSON();
+        json.handler.should.equal('sql');
+
+        return query.fromJSON(json).toArray().then(() => handler.should.have.been.calledOnce);
+    });
+
+    it('should reject unknown references', function () {
+        const json = builder().toJSON();
+
+        (() => query.fromJSON(json, _.omit(registry, 'plugins')))
+            .should.throw(query.QueryValidationError, 'Unknown plugin auth');
+        (() => query.fromJSON(_.assign({}, json, { version: 2 }), registry))
+            .should.throw(query.QueryValidationError, 'Unsupported query definition version 2');
+    });
+
+    it('should carry infinite interceptor orders', async function () {
+        const first = s => s.map(p => p.first);
+        const json = JSON.parse(JSON.stringify(builder().through(first, { name: 'first', order: Infinity })));
+
+        json.interceptors.through
+            .should.deep.equal([{ name: 'upper', order: 1 }, { name: 'first', order: 'Infinity' }]);
+
+        const rebuilt = query.fromJSON(json, _.merge({ interceptors: { first: first } }, registry));
+        rebuilt.interceptors('through').should.deep.equal(builder().through(first, { name: 'first', order: Infinity })
+            .interceptors('through'));
+        (await rebuilt.toArray({ first: 'Hank' })).should.deep.equal(['Hank']);
+    });
+
+    it('should refuse to serialize params that param descriptors can\'t describe', function () {
+        (() => query().params({ code: joi.string().regex(/^[A-Z]{3}$/) }).toJSON())
+            .should.throw('Cannot serialize the params of a query, as they can\'t be described by param descriptors');
+        (() => query().params({ filter: joi.object() }).toJSON())
+            .should.throw('Cannot serialize the params of a query');
+        query().params({ code: { type: 'string', valid: ['USD', 'EUR'] } }).toJSON().params
+            .should.deep.equal({ code: { type: 'string', required: false, valid: ['USD', 'EUR'] } });
+    });
+
+    it('should refuse to serialize what it cannot reference', function () {
+        (() => query().handler((q, reply) => reply(people)).toJSON())
+            .should.throw('Cannot serialize an anonymous handler');
+        (() => query().pre(_.noop).toJSON()).should.throw('Cannot serialize an unnamed pre interceptor');
+        (() => query().retry({ backoff: n => n * 10 }).toJSON())
+            .should.throw('Cannot serialize the retry of a query, as it contains a function');
+    });
+});
\ No newline at end of file